@@ -1,8 +1,80 @@
 // background.js
 import { setupNotificationClickListener } from './notificationManager.js';
+import { addJobs, processJobs, RESUME_ALARM, ENQUEUE_JOBS_MESSAGE } from './jobQueue.js';
+import { subscribe } from './storageManager.js';
+import { asyncWrapper } from './asyncWrapper.js';
+import { CONTEXT_MENU_ID } from './config.js';
+import {
+    registerContextMenu, startPageMove, repeatLastMove, handlePageMoveMessage,
+    MOVE_COMMAND, REPEAT_MOVE_COMMAND, PAGE_TREE_MESSAGE, PAGE_MOVE_MESSAGE,
+} from './pageMover.js';
 
 setupNotificationClickListener();
 
+// Bulk jobs are run here rather than in the popup, which dies as soon as it loses focus.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message && message.type === ENQUEUE_JOBS_MESSAGE) {
+        addJobs(message.jobs)
+            .then(jobIds => sendResponse({ jobIds }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true; // Keep the channel open for the async response.
+    }
+    if (message && (message.type === PAGE_TREE_MESSAGE || message.type === PAGE_MOVE_MESSAGE)) {
+        handlePageMoveMessage(message)
+            .then(sendResponse)
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+    return false;
+});
+
+/**
+ * Shows the in-page "Move to…" picker; errors are reported on the page and as a notification.
+ *
+ * @param {Object} tab - The tab showing an Outline document.
+ */
+function movePageDocument(tab) {
+    asyncWrapper(startPageMove, tab)(tab).catch(() => {});
+}
+
+// The "Move to…" menu only appears on document pages of the configured workspaces.
+chrome.runtime.onInstalled.addListener(registerContextMenu);
+subscribe("profiles", registerContextMenu);
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === CONTEXT_MENU_ID && tab) {
+        movePageDocument(tab);
+    }
+});
+
+// Opening the manager is the built-in _execute_action command and needs no handler.
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    if (command !== MOVE_COMMAND && command !== REPEAT_MOVE_COMMAND) {
+        return;
+    }
+    const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) {
+        return;
+    }
+    if (command === MOVE_COMMAND) {
+        movePageDocument(activeTab);
+    } else {
+        asyncWrapper(repeatLastMove, activeTab)(activeTab).catch(() => {});
+    }
+});
+
+// The alarm wakes a suspended service worker so interrupted jobs can resume.
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === RESUME_ALARM) {
+        processJobs();
+    }
+});
+
+chrome.runtime.onStartup.addListener(processJobs);
+
+// Resume any job left unfinished whenever the service worker starts.
+processJobs();
+
 // Global error handling for the service worker (background script)
 self.addEventListener('error', (event) => {
     console.error('Global error caught in service worker:', event.error);
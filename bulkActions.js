@@ -0,0 +1,94 @@
+// bulkActions.js
+// Bulk document actions other than moving (archive, delete, restore, publish...),
+// applied to the selection in the document tree and run as background jobs.
+
+/**
+ * Available bulk actions.
+ * - scope "top": applied to top-level selected documents only; children follow their parent.
+ * - scope "all": applied to every selected document, parents first (or children first when reversed).
+ * - confirmWord: word that has to be typed to confirm a destructive action.
+ */
+export const BULK_ACTIONS = {
+    archive: { label: "Archive", scope: "top", method: "archiveDocument" },
+    unarchive: { label: "Unarchive", scope: "top", method: "unarchiveDocument" },
+    delete: { label: "Delete", scope: "top", method: "deleteDocument", confirmWord: "DELETE" },
+    restore: { label: "Restore from trash", scope: "top", method: "restoreDocument" },
+    publish: { label: "Publish", scope: "all", method: "publishDocument" },
+    unpublish: { label: "Unpublish", scope: "all", method: "unpublishDocument", childrenFirst: true },
+};
+
+/**
+ * Collects the selected nodes of a tree in pre-order (parents before children),
+ * remembering the closest selected ancestor of each.
+ *
+ * @param {Array} tree - The tree structure of documents.
+ * @param {Set} selectedIds - The selected document IDs.
+ * @param {string|null} [selectedAncestorId=null] - The closest selected ancestor.
+ * @param {number} [depth=0] - The depth of the nodes in the tree.
+ * @returns {Array} Entries: { node, depth, selectedAncestorId }.
+ */
+function collectSelected(tree, selectedIds, selectedAncestorId = null, depth = 0) {
+    let result = [];
+    tree.forEach(node => {
+        const isSelected = selectedIds.has(node.id);
+        if (isSelected) {
+            result.push({ node, depth, selectedAncestorId });
+        }
+        if (node.children && node.children.length > 0) {
+            result = result.concat(collectSelected(
+                node.children,
+                selectedIds,
+                isSelected ? node.id : selectedAncestorId,
+                depth + 1,
+            ));
+        }
+    });
+    return result;
+}
+
+/**
+ * Builds the job steps of a bulk action.
+ *
+ * @param {string} action - A key of BULK_ACTIONS.
+ * @param {Array} tree - The source tree.
+ * @param {Array} selectedIds - The selected document IDs.
+ * @param {string} collectionId - The source collection, recorded so it can be snapshotted.
+ * @returns {Array} The job steps: { documentId, title, depth, collectionId, action, dependsOn }.
+ */
+export function buildBulkSteps(action, tree, selectedIds, collectionId) {
+    const definition = BULK_ACTIONS[action];
+    let entries = collectSelected(tree, new Set(selectedIds));
+    if (definition.scope === "top") {
+        entries = entries.filter(entry => !entry.selectedAncestorId);
+    }
+    let steps = entries.map(entry => ({
+        documentId: entry.node.id,
+        title: entry.node.title || "(Untitled)",
+        depth: entry.depth,
+        collectionId,
+        action,
+        // Publishing a child only makes sense once its selected parent is published.
+        dependsOn: definition.scope === "all" && !definition.childrenFirst ? entry.selectedAncestorId : null,
+        // Children-first actions run strictly in order instead of in parallel.
+        lane: definition.childrenFirst ? "children-first" : undefined,
+    }));
+    if (definition.childrenFirst) {
+        steps = steps.reverse();
+    }
+    return steps;
+}
+
+/**
+ * Executes a single bulk action step.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} step - The step.
+ * @returns {Promise<void>}
+ */
+export async function executeBulkStep(api, step) {
+    const definition = BULK_ACTIONS[step.action];
+    if (!definition) {
+        throw new Error(`Unknown bulk action: ${step.action}`);
+    }
+    await api[definition.method](step.documentId);
+}
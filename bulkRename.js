@@ -0,0 +1,186 @@
+// bulkRename.js
+// Bulk renaming of the selected documents: title templates with tokens such as
+// {parentTitle} or {createdAt:YYYY-MM}, regex find/replace, prefix and suffix,
+// and numbering within each group of siblings. Runs as a background job.
+
+/**
+ * Available numbering schemes, put in front of the new title.
+ */
+export const NUMBERING_STYLES = {
+    none: { label: "No numbering", format: null },
+    plain: { label: "1. Title", format: n => `${n}. ` },
+    padded2: { label: "01 - Title", format: n => `${String(n).padStart(2, "0")} - ` },
+    padded3: { label: "001 - Title", format: n => `${String(n).padStart(3, "0")} - ` },
+};
+
+const TOKEN_PATTERN = /\{(\w+)(?::([^}]*))?\}/g;
+const DATE_TOKENS = ["createdAt", "updatedAt"];
+
+/**
+ * Returns whether rename options use tokens that need full document metadata.
+ *
+ * @param {Object} options - The rename options.
+ * @returns {boolean} True if creation or update dates are used.
+ */
+export function needsRenameMetadata(options) {
+    const text = [options.template, options.prefix, options.suffix].join("");
+    return DATE_TOKENS.some(token => text.includes(`{${token}`));
+}
+
+/**
+ * Formats a date with a pattern made of YYYY, YY, MM, DD, HH, mm and ss, in local time.
+ *
+ * @param {string} value - An ISO date.
+ * @param {string} [pattern="YYYY-MM-DD"] - The pattern.
+ * @returns {string} The formatted date, or an empty string for a missing date.
+ */
+function formatDate(value, pattern = "YYYY-MM-DD") {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date)) {
+        return "";
+    }
+    const pad = n => String(n).padStart(2, "0");
+    const parts = {
+        YYYY: String(date.getFullYear()),
+        YY: String(date.getFullYear()).slice(-2),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+    };
+    return pattern.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, part => parts[part]);
+}
+
+/**
+ * Replaces the tokens of a template. Supported tokens are {title}, {parentTitle},
+ * {collection}, {n} (or {n:2} for a zero-padded width) and {createdAt}/{updatedAt}
+ * with an optional date pattern, e.g. {createdAt:YYYY-MM}. Unknown tokens are kept.
+ *
+ * @param {string} template - The template.
+ * @param {Object} context - { title, parentTitle, collection, n, createdAt, updatedAt }.
+ * @returns {string} The expanded text.
+ */
+export function expandTemplate(template, context) {
+    return template.replace(TOKEN_PATTERN, (token, name, format) => {
+        if (name === "n") {
+            return String(context.n).padStart(Number(format) || 0, "0");
+        }
+        if (DATE_TOKENS.includes(name)) {
+            return formatDate(context[name], format || undefined);
+        }
+        if (["title", "parentTitle", "collection"].includes(name)) {
+            return context[name] || "";
+        }
+        return token;
+    });
+}
+
+/**
+ * Computes the new title of every selected document and the sibling groups in
+ * which two documents would end up with the same title. The title is built in
+ * this order: template, find/replace, prefix and suffix, numbering. Numbers count
+ * the selected documents of each group of siblings, in tree order. Tokens always
+ * refer to the current titles, not to the new ones.
+ *
+ * @param {Array} tree - The source tree.
+ * @param {Array} selectedIds - The selected document IDs.
+ * @param {Object} options - { template, find, replace, ignoreCase, prefix, suffix, numbering, start }.
+ * @param {Object} [context] - { metadata, collectionName }; metadata holds full
+ *   documents keyed by ID and is only needed for date tokens.
+ * @returns {Object} { entries, conflicts } where entries are
+ *   { documentId, title, newTitle, depth, parentId, conflict } and conflicts are
+ *   { parentId, parentTitle, title, documentIds }.
+ * @throws {SyntaxError} If the find pattern is not a valid regular expression.
+ */
+export function buildRenamePlan(tree, selectedIds, options, { metadata = {}, collectionName = "" } = {}) {
+    const selected = new Set(selectedIds);
+    const finder = options.find ? new RegExp(options.find, options.ignoreCase ? "gi" : "g") : null;
+    const numbering = (NUMBERING_STYLES[options.numbering] || NUMBERING_STYLES.none).format;
+    const start = Number.isInteger(options.start) ? options.start : 1;
+    const entries = [];
+    const conflicts = [];
+
+    const visit = (nodes, parent, depth) => {
+        let n = start;
+        const finalTitles = {};
+        nodes.forEach(node => {
+            const title = node.title || "";
+            let newTitle = title;
+            if (selected.has(node.id)) {
+                const doc = metadata[node.id] || {};
+                const context = {
+                    title,
+                    parentTitle: parent ? parent.title || "" : "",
+                    collection: collectionName,
+                    n,
+                    createdAt: doc.createdAt,
+                    updatedAt: doc.updatedAt,
+                };
+                if (options.template) {
+                    newTitle = expandTemplate(options.template, context);
+                }
+                if (finder) {
+                    newTitle = newTitle.replace(finder, options.replace || "");
+                }
+                newTitle = `${expandTemplate(options.prefix || "", context)}${newTitle}${expandTemplate(options.suffix || "", context)}`;
+                if (numbering) {
+                    newTitle = `${numbering(n)}${newTitle}`;
+                }
+                n++;
+                entries.push({ documentId: node.id, title, newTitle, depth, parentId: parent ? parent.id : "", conflict: false });
+            }
+            (finalTitles[newTitle] = finalTitles[newTitle] || []).push(node.id);
+            visit(node.children || [], node, depth + 1);
+        });
+
+        Object.entries(finalTitles).forEach(([title, documentIds]) => {
+            if (documentIds.length > 1 && documentIds.some(id => selected.has(id))) {
+                conflicts.push({
+                    parentId: parent ? parent.id : "",
+                    parentTitle: parent ? parent.title || "(Untitled)" : "",
+                    title,
+                    documentIds,
+                });
+            }
+        });
+    };
+    visit(tree, null, 0);
+
+    const conflicting = new Set(conflicts.flatMap(conflict => conflict.documentIds));
+    entries.forEach(entry => {
+        entry.conflict = conflicting.has(entry.documentId);
+    });
+    return { entries, conflicts };
+}
+
+/**
+ * Builds the job steps of a rename plan, one per document whose title changes.
+ *
+ * @param {Object} plan - The plan from buildRenamePlan.
+ * @param {string} collectionId - The source collection, recorded so it can be snapshotted.
+ * @returns {Array} The job steps: { documentId, title, newTitle, depth, collectionId, dependsOn }.
+ */
+export function buildRenameSteps(plan, collectionId) {
+    return plan.entries
+        .filter(entry => entry.newTitle !== entry.title)
+        .map(entry => ({
+            documentId: entry.documentId,
+            title: entry.title,
+            newTitle: entry.newTitle,
+            depth: entry.depth,
+            collectionId,
+            dependsOn: null,
+        }));
+}
+
+/**
+ * Executes a single rename step.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} step - The step.
+ * @returns {Promise<void>}
+ */
+export async function executeRenameStep(api, step) {
+    await api.renameDocument(step.documentId, step.newTitle);
+}
@@ -0,0 +1,120 @@
+// childSort.js
+// Sorting of a folder's children by title (natural order), creation date, update
+// date or a key captured by a regular expression. The new order is applied by
+// moving every child to an explicit index, as an ordinary move job.
+
+/**
+ * Available sort keys.
+ */
+export const SORT_KEYS = {
+    title: { label: "Title (natural order)" },
+    createdAt: { label: "Creation date" },
+    updatedAt: { label: "Last update" },
+    regex: { label: "Key captured by a regex" },
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+/**
+ * Returns whether sort options need full document metadata.
+ *
+ * @param {Object} options - The sort options.
+ * @returns {boolean} True for the date keys.
+ */
+export function needsSortMetadata(options) {
+    return options.key === "createdAt" || options.key === "updatedAt";
+}
+
+/**
+ * Creates the function returning the sort key of a node. Nodes without a key
+ * (no date, or a title the pattern does not match) get null.
+ *
+ * @param {Object} options - { key, pattern }.
+ * @param {Object} metadata - Full documents keyed by ID, for the date keys.
+ * @returns {Function} Maps a node to its key.
+ * @throws {SyntaxError} If the pattern is not a valid regular expression.
+ */
+function createKeyFunction(options, metadata) {
+    if (options.key === "regex") {
+        const pattern = new RegExp(options.pattern);
+        return node => {
+            const match = (node.title || "").match(pattern);
+            return match ? match[1] ?? match[0] : null;
+        };
+    }
+    if (options.key === "createdAt" || options.key === "updatedAt") {
+        return node => (metadata[node.id] || {})[options.key] || null;
+    }
+    return node => node.title || "";
+}
+
+/**
+ * Computes the new order of the children of a node, and with the recursive option
+ * of every folder below it. The sort is stable, and nodes without a key keep their
+ * relative order after all others, also when sorting in descending order.
+ *
+ * @param {Object} root - The node whose children are sorted; { id: "", children: tree }
+ *   for the top level of a collection.
+ * @param {Object} options - { key, pattern, descending, recursive }.
+ * @param {Object} [metadata={}] - Full documents keyed by ID, for the date keys.
+ * @returns {Array} The groups whose order changes: { parentId, parentTitle, before, after }
+ *   with before and after as lists of nodes.
+ * @throws {SyntaxError} If the pattern is not a valid regular expression.
+ */
+export function buildSortPlan(root, options, metadata = {}) {
+    const getKey = createKeyFunction(options, metadata);
+    const direction = options.descending ? -1 : 1;
+    const groups = [];
+    const visit = (parent) => {
+        const before = parent.children || [];
+        const keyed = before.map(node => ({ node, key: getKey(node) }));
+        const after = keyed.sort((a, b) => {
+            if (a.key === null || b.key === null) {
+                return (a.key === null) - (b.key === null);
+            }
+            return direction * collator.compare(a.key, b.key);
+        }).map(entry => entry.node);
+        if (after.some((node, i) => node !== before[i])) {
+            groups.push({ parentId: parent.id, parentTitle: parent.title || "", before, after });
+        }
+        if (options.recursive) {
+            before.forEach(visit);
+        }
+    };
+    visit(root);
+    return groups;
+}
+
+/**
+ * Builds the move steps applying a sort plan. Children are moved to index 0, 1, 2...
+ * in their new order, skipping the leading ones that are already in place. The
+ * recorded origin is the position that puts a document back among those already
+ * restored when the moves are undone in job order, so undoing brings back the
+ * previous order.
+ *
+ * @param {Array} groups - The groups from buildSortPlan.
+ * @param {string} collectionId - The collection.
+ * @returns {Array} The job steps.
+ */
+export function buildSortSteps(groups, collectionId) {
+    const steps = [];
+    groups.forEach(({ parentId, before, after }) => {
+        const firstChange = after.findIndex((node, i) => node !== before[i]);
+        after.forEach((node, i) => {
+            if (i < firstChange) {
+                return;
+            }
+            const originalIndex = before.indexOf(node);
+            const restoreIndex = after.slice(0, i).filter(other => before.indexOf(other) < originalIndex).length;
+            steps.push({
+                documentId: node.id,
+                title: node.title || "(Untitled)",
+                depth: 0,
+                from: { collectionId, parentDocumentId: parentId, index: restoreIndex },
+                to: { collectionId, parentDocumentId: parentId, index: i },
+                dependsOn: null,
+            });
+        });
+    });
+    return steps;
+}
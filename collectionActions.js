@@ -0,0 +1,49 @@
+// collectionActions.js
+// Collection-level operations built on move jobs: merging one collection into
+// another (optionally archiving the emptied source) and splitting subtrees out
+// into a new collection.
+
+/**
+ * Default access levels of a collection, as accepted by collections.create/update.
+ */
+export const COLLECTION_PERMISSIONS = [
+    { id: "read_write", name: "Members can view and edit" },
+    { id: "read", name: "Members can view" },
+    { id: "", name: "No access by default" },
+];
+
+/**
+ * Builds the final step of a merge job, which archives the source collection.
+ * It is a barrier, so it runs after every move of the job.
+ *
+ * @param {Object} collection - The source collection: { id, name }.
+ * @returns {Object} The job step.
+ */
+export function buildArchiveCollectionStep(collection) {
+    return {
+        documentId: `archive:${collection.id}`,
+        title: `Archive collection ${collection.name}`,
+        depth: 0,
+        collectionId: collection.id,
+        dependsOn: null,
+        barrier: true,
+        action: "archiveCollection",
+    };
+}
+
+/**
+ * Executes an archive collection step. The collection is only archived once
+ * nothing is left in it, so a merge with failed moves keeps its source.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} step - The step.
+ * @returns {Promise<string|null>} The reason the step was skipped, or null once archived.
+ */
+export async function executeArchiveCollectionStep(api, step) {
+    const remaining = await api.getCollectionDocuments(step.collectionId);
+    if (remaining.length > 0) {
+        return `${remaining.length} document(s) are still in the collection`;
+    }
+    await api.archiveCollection(step.collectionId);
+    return null;
+}
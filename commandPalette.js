@@ -0,0 +1,220 @@
+// commandPalette.js
+// Keyboard-driven command palette for the manager: a fuzzy-searchable list of
+// actions and destinations, opened with Ctrl/Cmd+K.
+
+const MAX_RESULTS = 50;
+
+/**
+ * Matches a query against a text as a case-insensitive subsequence. Matches at
+ * the start of words and runs of consecutive characters score higher, gaps lower.
+ *
+ * @param {string} query - The typed query; whitespace is ignored.
+ * @param {string} text - The text to match.
+ * @returns {Object|null} { score, positions } with the indexes of the matched
+ *   characters, or null if the text does not contain the query.
+ */
+export function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, "");
+    const haystack = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) {
+            return null;
+        }
+        const previous = positions[positions.length - 1];
+        if (previous !== undefined && index === previous + 1) {
+            score += 5;
+        } else if (index === 0 || /[\s›/\-_.:(]/.test(text[index - 1])) {
+            score += 3;
+        } else {
+            score -= Math.min(index - from, 3);
+        }
+        score += 1;
+        positions.push(index);
+        from = index + 1;
+    }
+    // Shorter texts win between otherwise equal matches.
+    return { score: score - text.length / 100, positions };
+}
+
+/**
+ * Ranks commands by how well their label matches a query. Without a query, the
+ * commands keep their order.
+ *
+ * @param {Array} commands - Commands: { label, ... }.
+ * @param {string} query - The typed query.
+ * @returns {Array} Results: { command, positions }, best first.
+ */
+export function rankCommands(commands, query) {
+    if (!query.trim()) {
+        return commands.slice(0, MAX_RESULTS).map(command => ({ command, positions: [] }));
+    }
+    return commands
+        .map((command, order) => ({ command, order, match: fuzzyMatch(query, command.label) }))
+        .filter(result => result.match)
+        .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+        .slice(0, MAX_RESULTS)
+        .map(result => ({ command: result.command, positions: result.match.positions }));
+}
+
+/**
+ * Command palette. Commands are gathered again every time it opens, so they
+ * always reflect the current selection and loaded destinations.
+ */
+export class CommandPalette {
+    /**
+     * @param {Object} options - Palette options.
+     * @param {HTMLElement} options.container - The palette element, hidden while closed.
+     * @param {HTMLInputElement} options.input - The query input.
+     * @param {HTMLElement} options.list - The <ul> the results are rendered into.
+     * @param {Function} options.getCommands - Returns (a promise of) the commands:
+     *   { label, group, run }.
+     */
+    constructor({ container, input, list, getCommands }) {
+        this.container = container;
+        this.input = input;
+        this.list = list;
+        this.getCommands = getCommands;
+        this.commands = [];
+        this.results = [];
+        this.activeIndex = 0;
+
+        this.input.addEventListener("input", () => this.render());
+        this.input.addEventListener("keydown", (e) => this.onKeydown(e));
+        // Clicking the backdrop around the palette closes it.
+        this.container.addEventListener("mousedown", (e) => {
+            if (e.target === this.container) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Returns whether the palette is shown.
+     *
+     * @returns {boolean} True while open.
+     */
+    isOpen() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * Opens the palette with an empty query.
+     *
+     * @returns {Promise<void>}
+     */
+    async open() {
+        this.commands = await this.getCommands();
+        this.input.value = "";
+        this.container.hidden = false;
+        this.input.focus();
+        this.render();
+    }
+
+    /**
+     * Closes the palette.
+     */
+    close() {
+        this.container.hidden = true;
+    }
+
+    /**
+     * Handles the navigation keys of the query input.
+     *
+     * @param {KeyboardEvent} e - The event.
+     */
+    onKeydown(e) {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            const step = e.key === "ArrowDown" ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.results.length) % Math.max(this.results.length, 1));
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            this.runResult(this.activeIndex);
+        } else if (e.key === "Escape") {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    /**
+     * Highlights a result and scrolls it into view.
+     *
+     * @param {number} index - The result index.
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        [...this.list.children].forEach((item, i) => item.classList.toggle("active", i === index));
+        const item = this.list.children[index];
+        if (item) {
+            item.scrollIntoView({ block: "nearest" });
+        }
+    }
+
+    /**
+     * Closes the palette and runs a result's command.
+     *
+     * @param {number} index - The result index.
+     */
+    async runResult(index) {
+        const result = this.results[index];
+        if (!result) {
+            return;
+        }
+        this.close();
+        try {
+            await result.command.run();
+        } catch (error) {
+            console.error(`Error running "${result.command.label}":`, error);
+            alert(`"${result.command.label}" failed. Check console for details.`);
+        }
+    }
+
+    /**
+     * Renders the commands matching the query, with the matched characters marked.
+     */
+    render() {
+        this.results = rankCommands(this.commands, this.input.value);
+        this.list.innerHTML = "";
+        if (this.results.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "palette-empty";
+            empty.textContent = "No matching command";
+            this.list.appendChild(empty);
+            return;
+        }
+        this.results.forEach(({ command, positions }, i) => {
+            const item = document.createElement("li");
+            const label = document.createElement("span");
+            const marked = new Set(positions);
+            command.label.split("").forEach((char, k) => {
+                if (marked.has(k)) {
+                    const mark = document.createElement("mark");
+                    mark.textContent = char;
+                    label.appendChild(mark);
+                } else {
+                    label.appendChild(document.createTextNode(char));
+                }
+            });
+            const group = document.createElement("span");
+            group.className = "palette-group";
+            group.textContent = command.group || "";
+            item.append(label, group);
+            item.addEventListener("mousedown", (e) => {
+                // Keep the focus in the input until the command runs.
+                e.preventDefault();
+                this.runResult(i);
+            });
+            item.addEventListener("mousemove", () => {
+                if (this.activeIndex !== i) {
+                    this.setActive(i);
+                }
+            });
+            this.list.appendChild(item);
+        });
+        this.setActive(0);
+    }
+}
@@ -5,6 +5,8 @@ export const FETCH_TIMEOUT = 8000;
 export const DEBUG_MODE = true; // Set to false in production.
 export const MAX_RETRIES = 3;
 export const INITIAL_BACKOFF = 500; // in milliseconds
+export const DEFAULT_CONCURRENCY = 4; // parallel API requests per workspace
+export const MAX_REQUESTS_PER_SECOND = 10;
 
 export class OutlineApiError extends Error {
     constructor(message, status) {
@@ -0,0 +1,216 @@
+// destinationPicker.js
+// Searchable, lazily expandable tree for choosing a destination parent at any
+// depth, plus the list of recently used destinations.
+
+import { get, set } from './storageManager.js';
+
+const RECENT_DESTINATIONS_KEY = "recentDestinations";
+const MAX_RECENT_DESTINATIONS = 8;
+
+/**
+ * Retrieves the recently used destinations, most recent first.
+ *
+ * @returns {Promise<Array>} Entries: { collectionId, parentDocumentId, label }.
+ */
+export async function getRecentDestinations() {
+    const result = await get(RECENT_DESTINATIONS_KEY);
+    return result[RECENT_DESTINATIONS_KEY] || [];
+}
+
+/**
+ * Remembers a destination as the most recently used one.
+ *
+ * @param {Object} destination - { collectionId, parentDocumentId, label }.
+ * @returns {Promise<void>}
+ */
+export async function addRecentDestination(destination) {
+    const recent = (await getRecentDestinations()).filter(entry =>
+        entry.collectionId !== destination.collectionId || entry.parentDocumentId !== destination.parentDocumentId);
+    await set({ [RECENT_DESTINATIONS_KEY]: [destination, ...recent].slice(0, MAX_RECENT_DESTINATIONS) });
+}
+
+/**
+ * Destination tree picker. It keeps its own node map, so loading a destination
+ * never touches the state of the source tree.
+ */
+export class DestinationPicker {
+    /**
+     * @param {Object} options - Picker options.
+     * @param {HTMLElement} options.container - Element the tree is rendered into.
+     * @param {HTMLInputElement} options.searchInput - Input filtering the tree by title.
+     * @param {HTMLElement} options.selectionLabel - Element showing the chosen path.
+     * @param {Function} options.onChange - Called whenever the selection changes.
+     */
+    constructor({ container, searchInput, selectionLabel, onChange }) {
+        this.container = container;
+        this.searchInput = searchInput;
+        this.selectionLabel = selectionLabel;
+        this.onChange = onChange;
+        this.collectionId = "";
+        this.collectionName = "";
+        this.tree = [];
+        this.nodeMap = {};
+        this.parentMap = {};
+        this.expanded = new Set();
+        this.selectedId = "";
+
+        this.searchInput.addEventListener("input", () => this.render());
+    }
+
+    /**
+     * Loads the tree of a destination collection and selects its root.
+     *
+     * @param {string} collectionId - The collection ID.
+     * @param {string} collectionName - The collection name.
+     * @param {Array} tree - The collection's document tree.
+     */
+    setTree(collectionId, collectionName, tree) {
+        this.collectionId = collectionId;
+        this.collectionName = collectionName;
+        this.tree = tree;
+        this.nodeMap = {};
+        this.parentMap = {};
+        const index = (nodes, parentId) => {
+            nodes.forEach(node => {
+                this.nodeMap[node.id] = node;
+                this.parentMap[node.id] = parentId;
+                index(node.children || [], node.id);
+            });
+        };
+        index(tree, "");
+        this.expanded = new Set();
+        this.searchInput.value = "";
+        this.select("");
+    }
+
+    /**
+     * Returns a node of the destination tree.
+     *
+     * @param {string} documentId - The document ID.
+     * @returns {Object|undefined} The node.
+     */
+    getNode(documentId) {
+        return this.nodeMap[documentId];
+    }
+
+    /**
+     * Returns the titles from the collection down to a node.
+     *
+     * @param {string} documentId - The document ID, or "" for the root.
+     * @returns {Array} The path labels, starting with the collection name.
+     */
+    getPath(documentId) {
+        const titles = [];
+        let id = documentId;
+        while (id && this.nodeMap[id]) {
+            titles.unshift(this.nodeMap[id].title || "(Untitled)");
+            id = this.parentMap[id];
+        }
+        return [this.collectionName, ...titles];
+    }
+
+    /**
+     * Returns the chosen destination.
+     *
+     * @returns {Object} { collectionId, parentDocumentId, path }.
+     */
+    getSelection() {
+        return {
+            collectionId: this.collectionId,
+            parentDocumentId: this.selectedId,
+            path: this.getPath(this.selectedId),
+        };
+    }
+
+    /**
+     * Selects a destination parent, expanding its ancestors so it is visible.
+     *
+     * @param {string} documentId - The document ID, or "" for the collection root.
+     */
+    select(documentId) {
+        this.selectedId = this.nodeMap[documentId] ? documentId : "";
+        let id = this.parentMap[this.selectedId];
+        while (id) {
+            this.expanded.add(id);
+            id = this.parentMap[id];
+        }
+        this.selectionLabel.textContent = this.collectionId ? this.getPath(this.selectedId).join(" › ") : "";
+        this.render();
+        this.onChange(this.getSelection());
+    }
+
+    /**
+     * Renders either the tree or, while searching, the flat list of matches with their paths.
+     */
+    render() {
+        this.container.innerHTML = "";
+        if (!this.collectionId) {
+            return;
+        }
+        const query = this.searchInput.value.trim().toLowerCase();
+        const ul = document.createElement("ul");
+        if (query) {
+            Object.values(this.nodeMap)
+                .filter(node => (node.title || "").toLowerCase().includes(query))
+                .forEach(node => ul.appendChild(this.renderItem(node.id, this.getPath(node.id).slice(1).join(" › "))));
+        } else {
+            ul.appendChild(this.renderItem("", "Collection Root"));
+            this.tree.forEach(node => ul.appendChild(this.renderNode(node)));
+        }
+        this.container.appendChild(ul);
+    }
+
+    /**
+     * Renders a selectable entry.
+     *
+     * @param {string} documentId - The document ID, or "" for the root.
+     * @param {string} text - The label.
+     * @returns {HTMLElement} The <li> element.
+     */
+    renderItem(documentId, text) {
+        const li = document.createElement("li");
+        const label = document.createElement("span");
+        label.className = "picker-label";
+        if (documentId === this.selectedId) {
+            label.classList.add("selected");
+        }
+        label.textContent = text;
+        label.addEventListener("click", () => {
+            this.searchInput.value = "";
+            this.select(documentId);
+        });
+        li.appendChild(label);
+        return li;
+    }
+
+    /**
+     * Renders a tree node. Children are only rendered once the node is expanded.
+     *
+     * @param {Object} node - The node.
+     * @returns {HTMLElement} The <li> element.
+     */
+    renderNode(node) {
+        const li = this.renderItem(node.id, node.title || "(Untitled)");
+        const toggle = document.createElement("span");
+        toggle.className = "tree-toggle";
+        li.insertBefore(toggle, li.firstChild);
+        if (node.children && node.children.length > 0) {
+            const isExpanded = this.expanded.has(node.id);
+            toggle.textContent = isExpanded ? "▾" : "▸";
+            toggle.addEventListener("click", () => {
+                if (isExpanded) {
+                    this.expanded.delete(node.id);
+                } else {
+                    this.expanded.add(node.id);
+                }
+                this.render();
+            });
+            if (isExpanded) {
+                const ul = document.createElement("ul");
+                node.children.forEach(child => ul.appendChild(this.renderNode(child)));
+                li.appendChild(ul);
+            }
+        }
+        return li;
+    }
+}
@@ -0,0 +1,334 @@
+// dragDropView.js
+// Two-pane drag-and-drop reorganization. Documents dragged from the source tree
+// (or within the destination tree) are staged locally as pending moves, shown in
+// place with markers, and only sent to Outline when the user applies them.
+
+import { findNode, findAncestors, buildMovePlan } from './movePlanner.js';
+
+/**
+ * Deep-copies a tree so staging never mutates the loaded data.
+ *
+ * @param {Array} tree - The tree structure of documents.
+ * @returns {Array} The copy.
+ */
+function cloneTree(tree) {
+    return tree.map(node => ({ ...node, children: cloneTree(node.children || []) }));
+}
+
+/**
+ * Removes a node from a tree in place.
+ *
+ * @param {Array} tree - The tree structure of documents.
+ * @param {string} documentId - The node to remove.
+ * @returns {Object|null} The removed node, or null if not found.
+ */
+function removeNode(tree, documentId) {
+    const index = tree.findIndex(node => node.id === documentId);
+    if (index !== -1) {
+        return tree.splice(index, 1)[0];
+    }
+    for (const node of tree) {
+        const removed = removeNode(node.children || [], documentId);
+        if (removed) {
+            return removed;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the destination tree as it will look once the pending moves are applied.
+ * Moved nodes are flagged with `pending: true`.
+ *
+ * @param {Array} tree - The destination tree.
+ * @param {Array} pendingMoves - The pending moves, in the order they will be applied.
+ * @returns {Array} The staged tree.
+ */
+export function stageMoves(tree, pendingMoves) {
+    const staged = cloneTree(tree);
+    pendingMoves.forEach(move => {
+        const node = removeNode(staged, move.documentId) || cloneTree([move.node])[0];
+        node.pending = true;
+        const parent = move.parentDocumentId ? findNode(staged, move.parentDocumentId) : null;
+        const siblings = parent ? parent.children : staged;
+        siblings.splice(Math.min(move.index, siblings.length), 0, node);
+    });
+    return staged;
+}
+
+/**
+ * Controller for the drag-and-drop panel.
+ */
+export class DragDropController {
+    /**
+     * @param {Object} options - Controller options.
+     * @param {HTMLElement} options.sourceContainer - Element for the source pane.
+     * @param {HTMLElement} options.destinationContainer - Element for the destination pane.
+     * @param {HTMLElement} options.pendingList - Element listing the pending moves.
+     * @param {Function} options.getSource - Returns { tree, collectionId, name } of the source collection.
+     * @param {Function} options.getDestination - Returns { tree, collectionId, name } of the destination collection.
+     * @param {Function} options.onApply - Called with the combined move plan when the user applies.
+     */
+    constructor({ sourceContainer, destinationContainer, pendingList, getSource, getDestination, onApply }) {
+        this.sourceContainer = sourceContainer;
+        this.destinationContainer = destinationContainer;
+        this.pendingList = pendingList;
+        this.getSource = getSource;
+        this.getDestination = getDestination;
+        this.onApply = onApply;
+        this.pendingMoves = [];
+        this.dragged = null;
+
+        // Dropping on the empty area of the destination pane appends at the collection root.
+        this.destinationContainer.addEventListener("dragover", (e) => {
+            if (this.dragged) {
+                e.preventDefault();
+            }
+        });
+        this.destinationContainer.addEventListener("drop", (e) => {
+            e.preventDefault();
+            this.handleDrop(null, "root");
+        });
+    }
+
+    /**
+     * Re-renders both panes and the pending list.
+     */
+    render() {
+        const source = this.getSource();
+        const destination = this.getDestination();
+        const pendingIds = new Set(this.pendingMoves.map(move => move.documentId));
+
+        this.sourceContainer.innerHTML = "";
+        this.sourceContainer.appendChild(this.renderList(source.tree, "source", pendingIds));
+
+        this.destinationContainer.innerHTML = "";
+        if (!destination.collectionId) {
+            this.destinationContainer.textContent = "Choose a destination collection.";
+        } else {
+            const staged = stageMoves(destination.tree, this.pendingMoves);
+            this.destinationContainer.appendChild(this.renderList(staged, "destination", new Set()));
+        }
+        this.renderPending();
+    }
+
+    /**
+     * Renders a list of nodes of one pane.
+     *
+     * @param {Array} nodes - The nodes.
+     * @param {string} pane - "source" or "destination".
+     * @param {Set} pendingIds - Source documents with a pending move (marked, not hidden).
+     * @returns {HTMLElement} The <ul> element.
+     */
+    renderList(nodes, pane, pendingIds) {
+        const ul = document.createElement("ul");
+        nodes.forEach(node => {
+            const li = document.createElement("li");
+            const label = document.createElement("span");
+            label.className = "dnd-label";
+            label.textContent = node.title || "(Untitled)";
+            label.draggable = true;
+            if (node.pending) {
+                li.classList.add("pending-target");
+            }
+            if (pendingIds.has(node.id)) {
+                li.classList.add("pending-move");
+            }
+
+            label.addEventListener("dragstart", (e) => {
+                this.dragged = { id: node.id, pane };
+                e.dataTransfer.setData("text/plain", node.id);
+                e.dataTransfer.effectAllowed = "move";
+            });
+            label.addEventListener("dragend", () => {
+                this.dragged = null;
+            });
+
+            if (pane === "destination") {
+                label.addEventListener("dragover", (e) => {
+                    if (!this.dragged) {
+                        return;
+                    }
+                    e.preventDefault();
+                    e.stopPropagation();
+                    label.dataset.zone = this.getDropZone(e, label);
+                });
+                label.addEventListener("dragleave", () => {
+                    delete label.dataset.zone;
+                });
+                label.addEventListener("drop", (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const zone = this.getDropZone(e, label);
+                    delete label.dataset.zone;
+                    this.handleDrop(node.id, zone);
+                });
+            }
+
+            li.appendChild(label);
+            if (node.children && node.children.length > 0) {
+                li.appendChild(this.renderList(node.children, pane, pendingIds));
+            }
+            ul.appendChild(li);
+        });
+        return ul;
+    }
+
+    /**
+     * Determines where a drop on a label lands: before or after the node, or inside it.
+     *
+     * @param {DragEvent} e - The drag event.
+     * @param {HTMLElement} label - The label being hovered.
+     * @returns {string} "before", "after" or "inside".
+     */
+    getDropZone(e, label) {
+        const rect = label.getBoundingClientRect();
+        const y = e.clientY - rect.top;
+        if (y < rect.height * 0.25) {
+            return "before";
+        }
+        if (y > rect.height * 0.75) {
+            return "after";
+        }
+        return "inside";
+    }
+
+    /**
+     * Stages a move for the dragged node.
+     *
+     * @param {string|null} targetId - The node dropped on, or null for the root.
+     * @param {string} zone - "before", "after", "inside" or "root".
+     */
+    handleDrop(targetId, zone) {
+        const dragged = this.dragged;
+        this.dragged = null;
+        if (!dragged || dragged.id === targetId) {
+            return;
+        }
+        const destination = this.getDestination();
+        if (!destination.collectionId) {
+            return;
+        }
+
+        const existing = this.pendingMoves.find(move => move.documentId === dragged.id);
+        const others = this.pendingMoves.filter(move => move !== existing);
+        const staged = stageMoves(destination.tree, others);
+
+        // A node can never be dropped into its own subtree.
+        if (targetId && (findAncestors(staged, targetId) || []).some(node => node.id === dragged.id)) {
+            return;
+        }
+
+        let node;
+        let sourcePane;
+        if (existing) {
+            ({ node, sourcePane } = existing);
+        } else {
+            sourcePane = dragged.pane;
+            const tree = sourcePane === "source" ? this.getSource().tree : destination.tree;
+            node = findNode(tree, dragged.id);
+        }
+        if (!node) {
+            return;
+        }
+        removeNode(staged, dragged.id);
+
+        let parentDocumentId = "";
+        let index;
+        if (zone === "root") {
+            index = staged.length;
+        } else if (zone === "inside") {
+            const target = findNode(staged, targetId);
+            parentDocumentId = targetId;
+            index = target.children.length;
+        } else {
+            const ancestors = findAncestors(staged, targetId) || [];
+            const parent = ancestors[ancestors.length - 1];
+            const siblings = parent ? parent.children : staged;
+            parentDocumentId = parent ? parent.id : "";
+            index = siblings.findIndex(sibling => sibling.id === targetId) + (zone === "after" ? 1 : 0);
+        }
+
+        const parentPath = parentDocumentId
+            ? [...(findAncestors(staged, parentDocumentId) || []), findNode(staged, parentDocumentId)]
+            : [];
+        this.pendingMoves = [...others, {
+            documentId: node.id,
+            title: node.title || "(Untitled)",
+            node,
+            sourcePane,
+            parentDocumentId,
+            index,
+            path: [destination.name, ...parentPath.map(n => n.title || "(Untitled)")],
+        }];
+        this.render();
+    }
+
+    /**
+     * Renders the list of pending moves with a button to drop each one.
+     */
+    renderPending() {
+        this.pendingList.innerHTML = "";
+        if (this.pendingMoves.length === 0) {
+            this.pendingList.textContent = "No pending moves. Drag documents onto the destination tree.";
+            return;
+        }
+        const ul = document.createElement("ul");
+        this.pendingMoves.forEach(move => {
+            const li = document.createElement("li");
+            li.textContent = `${move.title} → ${move.path.join(" › ")} (position ${move.index + 1}) `;
+            const removeBtn = document.createElement("button");
+            removeBtn.textContent = "✕";
+            removeBtn.title = "Discard this move";
+            removeBtn.addEventListener("click", () => {
+                this.pendingMoves = this.pendingMoves.filter(m => m !== move);
+                this.render();
+            });
+            li.appendChild(removeBtn);
+            ul.appendChild(li);
+        });
+        this.pendingList.appendChild(ul);
+    }
+
+    /**
+     * Discards every pending move.
+     */
+    clear() {
+        this.pendingMoves = [];
+        this.render();
+    }
+
+    /**
+     * Combines the pending moves into a single move plan and hands it to onApply.
+     */
+    apply() {
+        if (this.pendingMoves.length === 0) {
+            return;
+        }
+        const source = this.getSource();
+        const destination = this.getDestination();
+        const documents = [];
+        this.pendingMoves.forEach(move => {
+            const from = move.sourcePane === "source" ? source : destination;
+            const plan = buildMovePlan({
+                tree: from.tree,
+                nodes: [move.node],
+                source: { collectionId: from.collectionId, name: from.name },
+                destination: {
+                    collectionId: destination.collectionId,
+                    parentDocumentId: move.parentDocumentId,
+                    path: move.path,
+                    position: { type: "index", index: move.index },
+                },
+            });
+            documents.push(...plan.documents);
+        });
+        this.onApply({
+            createdAt: new Date().toISOString(),
+            mode: "move",
+            source: { collectionId: source.collectionId, name: source.name },
+            destination: { collectionId: destination.collectionId, path: [destination.name] },
+            documents,
+        }, this.pendingMoves.length);
+    }
+}
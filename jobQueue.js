@@ -0,0 +1,655 @@
+// jobQueue.js
+// Persisted queue of bulk jobs. The manager popup only enqueues jobs and watches
+// their state; the background service worker runs them and resumes interrupted
+// jobs after being suspended or after a browser restart.
+
+import { get, set, subscribe, getOutlineAPI, getActiveProfileId } from './storageManager.js';
+import { startOperation, recordMove, markReverted } from './moveJournal.js';
+import { executeBulkStep } from './bulkActions.js';
+import { transferAttachments } from './workspaceTransfer.js';
+import { executeImportStep } from './markdownImport.js';
+import { captureSnapshot } from './snapshotStore.js';
+import { executeLinkRewriteStep } from './linkChecker.js';
+import { executeRenameStep } from './bulkRename.js';
+import { executeArchiveCollectionStep } from './collectionActions.js';
+import { executeDeleteIfEmptyStep } from './restructure.js';
+import { Logger } from './logger.js';
+
+const JOBS_KEY = "moveJobs";
+// Jobs that move or change existing documents; a snapshot is taken before they start.
+const DESTRUCTIVE_KINDS = ["move", "revert", "bulk", "links", "rename"];
+const MAX_FINISHED_JOBS = 20;
+export const RESUME_ALARM = "resume-move-jobs";
+export const ENQUEUE_JOBS_MESSAGE = "enqueueJobs";
+
+let jobsLock = Promise.resolve();
+let processing = false;
+
+/**
+ * Retrieves every job, oldest first.
+ *
+ * @returns {Promise<Array>} The jobs.
+ */
+export async function getJobs() {
+    const result = await get(JOBS_KEY, false);
+    return result[JOBS_KEY] || [];
+}
+
+/**
+ * Calls the given function when the job list changes in any extension context.
+ *
+ * @param {Function} callback - Called with the new job list.
+ * @returns {Function} A function that removes the subscription.
+ */
+export function watchJobs(callback) {
+    return subscribe(JOBS_KEY, (jobs) => callback(jobs || []), false);
+}
+
+/**
+ * Returns whether a job still has work to do.
+ *
+ * @param {Object} job - The job.
+ * @returns {boolean} True for queued jobs and jobs interrupted while running.
+ */
+export function isPending(job) {
+    return job.status === "queued" || job.status === "running";
+}
+
+/**
+ * Serializes read-modify-write cycles on the job list.
+ *
+ * @param {Function} mutator - Receives the job list and mutates it in place; its return value is passed through.
+ * @returns {Promise<*>} The mutator's return value.
+ */
+function mutateJobs(mutator) {
+    const run = jobsLock.then(async () => {
+        const jobs = await getJobs();
+        const value = mutator(jobs);
+        const finished = jobs.filter(job => !isPending(job));
+        const excess = finished.length - MAX_FINISHED_JOBS;
+        const pruned = excess > 0 ? jobs.filter(job => isPending(job) || finished.indexOf(job) >= excess) : jobs;
+        await set({ [JOBS_KEY]: pruned }, false);
+        return value;
+    });
+    jobsLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Applies changes to a stored job.
+ *
+ * @param {string} jobId - The job ID.
+ * @param {Object} changes - The fields to update.
+ * @returns {Promise<Object>} The updated job.
+ */
+function updateJob(jobId, changes) {
+    return mutateJobs(jobs => {
+        const job = jobs.find(j => j.id === jobId);
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        return { ...job };
+    });
+}
+
+/**
+ * Creates a job description. Jobs are plain data so they can be persisted.
+ *
+ * @param {Object} options - Job options.
+ * @param {string} options.kind - "move", "copy", "transfer", "revert", "bulk" (see bulkActions.js)
+ *   "import" (see markdownImport.js), "links" (see linkChecker.js) or "rename" (see bulkRename.js).
+ * @param {string} options.label - A human readable description.
+ * @param {Array} options.steps - The steps: { documentId, title, depth, from, to, dependsOn, verifyParent },
+ *   optionally with a lane and a barrier flag (see runJob).
+ * @param {string} [options.operationId] - For revert jobs, the journal operation being reverted.
+ * @param {string} [options.profileId] - The workspace to run in (defaults to the active one when enqueued).
+ * @param {string} [options.targetProfileId] - For transfer jobs, the workspace documents are recreated in.
+ * @returns {Object} The job.
+ */
+export function createJob({ kind, label, steps, operationId = null, profileId = null, targetProfileId = null }) {
+    return {
+        id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        kind,
+        label,
+        steps,
+        operationId,
+        profileId,
+        targetProfileId,
+        status: "queued",
+        cursor: 0,
+        results: [],
+        idMap: {},
+        error: null,
+        createdAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Converts a move plan into the steps of a move or copy job. Every step below the
+ * top level depends on its parent's step, so it is skipped if the parent fails.
+ *
+ * @param {Object} plan - The move plan from movePlanner.js.
+ * @returns {Array} The job steps.
+ */
+export function planToSteps(plan) {
+    return plan.documents.map(entry => ({
+        documentId: entry.id,
+        title: entry.title,
+        depth: entry.depth,
+        dependsOn: entry.depth > 0 ? entry.from.parentDocumentId : null,
+        from: {
+            collectionId: entry.from.collectionId,
+            parentDocumentId: entry.from.parentDocumentId,
+            index: entry.from.index,
+        },
+        to: {
+            collectionId: entry.to.collectionId,
+            parentDocumentId: entry.to.parentDocumentId,
+            index: entry.to.index,
+        },
+    }));
+}
+
+/**
+ * Hands jobs over to the background service worker (called from extension pages).
+ *
+ * @param {Array} jobs - The jobs to run, in order.
+ * @returns {Promise<Array>} The IDs of the enqueued jobs.
+ */
+export async function enqueueJobs(jobs) {
+    // Pin every job to a workspace, so switching workspaces later cannot redirect it.
+    const activeProfileId = await getActiveProfileId();
+    const pinned = jobs.map(job => ({ ...job, profileId: job.profileId || activeProfileId }));
+    const response = await chrome.runtime.sendMessage({ type: ENQUEUE_JOBS_MESSAGE, jobs: pinned });
+    if (!response || response.error) {
+        throw new Error(response ? response.error : "The background worker did not accept the job.");
+    }
+    return response.jobIds;
+}
+
+/**
+ * Persists new jobs and starts processing them (called in the service worker).
+ *
+ * @param {Array} jobs - The jobs to add.
+ * @returns {Promise<Array>} The IDs of the added jobs.
+ */
+export async function addJobs(jobs) {
+    await mutateJobs(stored => {
+        stored.push(...jobs);
+    });
+    chrome.alarms.create(RESUME_ALARM, { periodInMinutes: 1 });
+    processJobs();
+    return jobs.map(job => job.id);
+}
+
+/**
+ * Executes a single move step and returns its result.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} job - The job (its idMap is read, for parents created by the job).
+ * @param {Object} step - The step.
+ * @returns {Promise<Object>} The result: { documentId, title, status, message, httpStatus }.
+ */
+async function executeMoveStep(api, job, step) {
+    const { collectionId, index } = step.to;
+    const parentDocumentId = resolveDocumentId(job, step.to.parentDocumentId);
+    if (step.verifyParent && parentDocumentId && !(await api.getDocument(parentDocumentId))) {
+        return createResult(step, "skipped", "Original parent no longer exists");
+    }
+    Logger.debug(`Moving document ${step.documentId} to collection ${collectionId}, parent ${parentDocumentId}`);
+    await api.moveDocument(step.documentId, collectionId, parentDocumentId, index);
+    return createResult(step, "succeeded");
+}
+
+/**
+ * Remembers the document a step has created as soon as it exists. A step that is
+ * resumed after an interruption, or retried after a later failure, reuses it
+ * instead of creating a second copy.
+ *
+ * @param {Object} job - The job (its steps are persisted).
+ * @param {Object} step - The step.
+ * @param {string} documentId - The ID of the created document.
+ * @returns {Promise<void>}
+ */
+async function recordCreatedDocument(job, step, documentId) {
+    step.createdDocumentId = documentId;
+    await updateJob(job.id, { steps: job.steps });
+}
+
+/**
+ * Returns the document a step created in an earlier attempt, if it still exists.
+ *
+ * @param {Object} api - The Outline API instance of the workspace the document was created in.
+ * @param {Object} step - The step.
+ * @returns {Promise<Object|null>} The document, or null if it has to be created.
+ */
+async function getCreatedDocument(api, step) {
+    return step.createdDocumentId ? api.getDocument(step.createdDocumentId) : null;
+}
+
+/**
+ * Returns the ID of a document, which is the created document for the ID of a
+ * step that created one earlier in the job.
+ *
+ * @param {Object} job - The job (its idMap is read).
+ * @param {string} documentId - A document ID or the ID of a step.
+ * @returns {string} The document ID.
+ */
+function resolveDocumentId(job, documentId) {
+    return (job.idMap && job.idMap[documentId]) || documentId;
+}
+
+/**
+ * Executes a step creating an empty parent document, such as the new parent of a
+ * wrap. The document is created at the bottom of its parent and then moved to the
+ * step's index; later steps of the job refer to it by the step's ID.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} job - The job.
+ * @param {Object} step - The step.
+ * @returns {Promise<Object>} The result, including the ID of the created document.
+ */
+async function executeCreateFolderStep(api, job, step) {
+    const { collectionId, parentDocumentId, index } = step.to;
+    let folder = await getCreatedDocument(api, step);
+    if (!folder) {
+        folder = await api.createDocument({ title: step.title, text: "", collectionId, parentDocumentId });
+        await recordCreatedDocument(job, step, folder.id);
+    }
+    if (Number.isInteger(index)) {
+        await api.moveDocument(folder.id, collectionId, parentDocumentId, index);
+    }
+    return { ...createResult(step, "succeeded"), newDocumentId: folder.id };
+}
+
+/**
+ * Executes a single copy step. Children are created under the copy of their
+ * parent, looked up in the job's map of source IDs to copy IDs. The server's
+ * documents.duplicate endpoint is preferred; when the server does not provide it,
+ * the document is read and recreated instead. A copy made by an earlier attempt
+ * of the step is reused.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} job - The job (its idMap and useDuplicate flag are read and updated).
+ * @param {Object} step - The step.
+ * @returns {Promise<Object>} The result, including the ID of the created copy.
+ */
+async function executeCopyStep(api, job, step) {
+    const { collectionId, index } = step.to;
+    const parentDocumentId = step.dependsOn ? job.idMap[step.dependsOn] : step.to.parentDocumentId;
+    Logger.debug(`Copying document ${step.documentId} to collection ${collectionId}, parent ${parentDocumentId}`);
+
+    let copy = await getCreatedDocument(api, step);
+    if (!copy && job.useDuplicate !== false) {
+        try {
+            copy = await api.duplicateDocument(step.documentId, { collectionId, parentDocumentId });
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+            Logger.info("documents.duplicate is not available, falling back to create.");
+            job.useDuplicate = false;
+        }
+    }
+    if (!copy) {
+        const source = await api.getDocument(step.documentId);
+        if (!source) {
+            throw new Error("Source document not found");
+        }
+        copy = await api.createDocument({
+            title: source.title,
+            text: source.text,
+            collectionId,
+            parentDocumentId,
+            publish: Boolean(source.publishedAt),
+        });
+    }
+    if (copy.id !== step.createdDocumentId) {
+        await recordCreatedDocument(job, step, copy.id);
+    }
+
+    // Copies are appended; only the top-level block needs to be put in place.
+    if (step.depth === 0 && Number.isInteger(index)) {
+        await api.moveDocument(copy.id, collectionId, parentDocumentId, index);
+    }
+    return { ...createResult(step, "succeeded"), newDocumentId: copy.id };
+}
+
+/**
+ * Executes a single transfer step: the document is read from the source workspace
+ * and recreated in the target workspace, together with its attachments. A document
+ * created by an earlier attempt of the step is reused, and its attachments uploaded again.
+ *
+ * @param {Object} sourceApi - The OutlineAPI of the source workspace.
+ * @param {Object} targetApi - The OutlineAPI of the target workspace.
+ * @param {Object} job - The job (its idMap is read).
+ * @param {Object} step - The step.
+ * @returns {Promise<Object>} The result, including the ID of the created document.
+ */
+async function executeTransferStep(sourceApi, targetApi, job, step) {
+    const { collectionId, index } = step.to;
+    const parentDocumentId = step.dependsOn ? job.idMap[step.dependsOn] : step.to.parentDocumentId;
+    Logger.debug(`Transferring document ${step.documentId} to collection ${collectionId}, parent ${parentDocumentId}`);
+
+    const source = await sourceApi.getDocument(step.documentId);
+    if (!source) {
+        throw new Error("Source document not found");
+    }
+    let copy = await getCreatedDocument(targetApi, step);
+    if (!copy) {
+        copy = await targetApi.createDocument({
+            title: source.title,
+            text: source.text,
+            collectionId,
+            parentDocumentId,
+            publish: Boolean(source.publishedAt),
+        });
+        await recordCreatedDocument(job, step, copy.id);
+    }
+    // Attachments can only be uploaded once the target document exists.
+    const text = await transferAttachments(sourceApi, targetApi, source.text, copy.id);
+    if (text !== source.text) {
+        await targetApi.updateDocument(copy.id, { text });
+    }
+    if (step.depth === 0 && Number.isInteger(index)) {
+        await targetApi.moveDocument(copy.id, collectionId, parentDocumentId, index);
+    }
+    return { ...createResult(step, "succeeded"), newDocumentId: copy.id };
+}
+
+/**
+ * Creates a step result.
+ *
+ * @param {Object} step - The step.
+ * @param {string} status - "succeeded", "failed" or "skipped".
+ * @param {string} [message=""] - Why the step failed or was skipped.
+ * @param {number|null} [httpStatus=null] - The HTTP status of a failed API call.
+ * @returns {Object} The result.
+ */
+function createResult(step, status, message = "", httpStatus = null) {
+    return { documentId: step.documentId, title: step.title, status, message, httpStatus };
+}
+
+/**
+ * Returns the lane of a step. Steps of the same lane run one after another in
+ * job order, so siblings land at their planned positions; steps of different
+ * lanes may run in parallel. By default a lane is the destination parent.
+ *
+ * @param {Object} step - The step.
+ * @returns {string} The lane.
+ */
+function getStepLane(step) {
+    if (step.lane) {
+        return step.lane;
+    }
+    if (step.dependsOn) {
+        return `parent:${step.dependsOn}`;
+    }
+    return step.to ? `parent:${step.to.collectionId}/${step.to.parentDocumentId || ""}` : `document:${step.documentId}`;
+}
+
+/**
+ * Executes a single step of a job.
+ *
+ * @param {Object} api - The OutlineAPI of the job's workspace.
+ * @param {Object} targetApi - For transfer jobs, the OutlineAPI of the target workspace.
+ * @param {Object} job - The job (shared between parallel steps, so they see each other's copies).
+ * @param {Object} step - The step.
+ * @returns {Promise<Object>} The result.
+ */
+async function executeStep(api, targetApi, job, step) {
+    if (job.kind === "copy") {
+        return executeCopyStep(api, job, step);
+    }
+    if (job.kind === "transfer") {
+        return executeTransferStep(api, targetApi, job, step);
+    }
+    if (job.kind === "import") {
+        // A document imported by an earlier attempt of the step is reused.
+        const imported = step.action === "rewriteLinks" ? null : await getCreatedDocument(api, step);
+        if (imported) {
+            return { ...createResult(step, "succeeded"), newDocumentId: imported.id };
+        }
+        const newDocumentId = await executeImportStep(api, job, step);
+        if (newDocumentId) {
+            await recordCreatedDocument(job, step, newDocumentId);
+        }
+        return { ...createResult(step, "succeeded"), newDocumentId };
+    }
+    if (job.kind === "links") {
+        await executeLinkRewriteStep(api, step);
+        return createResult(step, "succeeded");
+    }
+    if (job.kind === "bulk") {
+        await executeBulkStep(api, step);
+        return createResult(step, "succeeded");
+    }
+    if (job.kind === "rename") {
+        await executeRenameStep(api, step);
+        return createResult(step, "succeeded");
+    }
+    if (step.action === "deleteIfEmpty") {
+        const skipReason = await executeDeleteIfEmptyStep(api, step);
+        return skipReason ? createResult(step, "skipped", skipReason) : createResult(step, "succeeded");
+    }
+    if (step.action === "archiveCollection") {
+        const skipReason = await executeArchiveCollectionStep(api, step);
+        return skipReason ? createResult(step, "skipped", skipReason) : createResult(step, "succeeded");
+    }
+    if (step.action === "createFolder") {
+        return executeCreateFolderStep(api, job, step);
+    }
+    return executeMoveStep(api, job, step);
+}
+
+/**
+ * Runs the unfinished steps of a job, persisting progress after every step.
+ * Up to the workspace's concurrency limit, steps run in parallel: a step starts
+ * once the step it depends on has finished, every earlier step of its lane has
+ * finished and no earlier barrier step is still outstanding (a barrier step
+ * itself waits for every earlier step). A step moved under a document that an
+ * earlier step of the job moves depends on that step, even without dependsOn, so
+ * a parent is always in place before its children. A failed step does not abort
+ * the job; steps whose parent failed or was skipped are skipped, since they
+ * would otherwise land in the wrong place.
+ *
+ * @param {Object} job - The job.
+ */
+async function runJob(job) {
+    job = await updateJob(job.id, { status: "running", startedAt: job.startedAt || new Date().toISOString() });
+    const api = await getOutlineAPI(job.profileId);
+    const targetApi = job.targetProfileId ? await getOutlineAPI(job.targetProfileId) : api;
+
+    if (job.kind === "move" && !job.operationId) {
+        const operation = await startOperation(job.label, job.profileId);
+        job = await updateJob(job.id, { operationId: operation.id });
+    }
+
+    if (DESTRUCTIVE_KINDS.includes(job.kind) && job.cursor === 0 && !job.snapshotId && !job.snapshotError) {
+        try {
+            const snapshot = await captureSnapshot(api, job);
+            job = await updateJob(job.id, { snapshotId: snapshot.id });
+        } catch (error) {
+            // A failed backup is reported but does not block the job.
+            Logger.warn(`Snapshot before job ${job.id} failed:`, error);
+            job = await updateJob(job.id, { snapshotId: null, snapshotError: error.message });
+        }
+    }
+
+    // Revert, restore and drag-and-drop steps leave dependsOn empty and rely on job order.
+    const dependencies = new Map();
+    const earlierIds = new Set();
+    job.steps.forEach(step => {
+        const parentId = step.to && step.to.parentDocumentId;
+        const implied = parentId && earlierIds.has(parentId) ? parentId : null;
+        dependencies.set(step, step.dependsOn || implied);
+        earlierIds.add(step.documentId);
+    });
+
+    const finishedIds = new Set(job.results.map(r => r.documentId));
+    const unresolved = new Set(job.results.filter(r => r.status !== "succeeded").map(r => r.documentId));
+    const waiting = new Set(job.steps.filter(step => !finishedIds.has(step.documentId)));
+    const activeSteps = new Set();
+    const running = new Set();
+    const getRunningTitles = () => [...activeSteps].map(step => step.title).join(", ") || null;
+
+    // Results (and journal entries) are persisted one at a time, in completion order.
+    let persisting = Promise.resolve();
+    const persistResult = (step, result) => {
+        persisting = persisting.then(async () => {
+            if (result.status === "succeeded" && job.kind === "move" && step.to) {
+                await recordMove(job.operationId, {
+                    documentId: result.newDocumentId || step.documentId,
+                    title: step.title,
+                    depth: step.depth,
+                    planIndex: job.steps.indexOf(step),
+                    from: step.from,
+                    to: { ...step.to, parentDocumentId: resolveDocumentId(job, step.to.parentDocumentId) },
+                    ...(step.action === "createFolder" ? { created: true } : {}),
+                });
+            }
+            job.results = [...job.results, result];
+            job.cursor = job.results.length;
+            await updateJob(job.id, {
+                cursor: job.cursor,
+                results: job.results,
+                idMap: job.idMap,
+                useDuplicate: job.useDuplicate,
+                currentTitle: getRunningTitles(),
+            });
+        });
+        return persisting;
+    };
+
+    const runStep = async (step) => {
+        let result;
+        const dependency = dependencies.get(step);
+        if (dependency && unresolved.has(dependency)) {
+            result = createResult(step, "skipped", "Parent document was not processed");
+        } else {
+            try {
+                result = await executeStep(api, targetApi, job, step);
+            } catch (error) {
+                Logger.error(`Job ${job.id} failed on document ${step.documentId}:`, error);
+                result = createResult(step, "failed", error.message, error.status || null);
+            }
+        }
+        // Dependent steps may start as soon as this one leaves activeSteps, so the
+        // outcome they rely on is recorded first.
+        if (result.status !== "succeeded") {
+            unresolved.add(step.documentId);
+        }
+        if (result.newDocumentId) {
+            job.idMap = { ...job.idMap, [step.documentId]: result.newDocumentId };
+        }
+        activeSteps.delete(step);
+        await persistResult(step, result);
+    };
+
+    while (waiting.size > 0 || running.size > 0) {
+        const concurrency = api.scheduler.concurrency;
+        const blockedLanes = new Set();
+        const outstandingIds = new Set();
+        let barrierOutstanding = false;
+        const started = [];
+        // Running steps block later steps just like waiting ones.
+        for (const step of job.steps) {
+            if (activeSteps.size >= concurrency) {
+                break;
+            }
+            const isActive = activeSteps.has(step);
+            if (!isActive && !waiting.has(step)) {
+                continue;
+            }
+            const lane = getStepLane(step);
+            const dependency = dependencies.get(step);
+            const ready = !isActive
+                && !blockedLanes.has(lane)
+                && !barrierOutstanding
+                && !(step.barrier && outstandingIds.size > 0)
+                && !(dependency && outstandingIds.has(dependency));
+            if (ready) {
+                waiting.delete(step);
+                activeSteps.add(step);
+                started.push(step);
+            }
+            blockedLanes.add(lane);
+            outstandingIds.add(step.documentId);
+            barrierOutstanding = barrierOutstanding || Boolean(step.barrier);
+        }
+        if (started.length > 0) {
+            await updateJob(job.id, { currentDocumentId: started[0].documentId, currentTitle: getRunningTitles() });
+            started.forEach(step => {
+                const promise = runStep(step).finally(() => running.delete(promise));
+                running.add(promise);
+            });
+        }
+        if (running.size === 0) {
+            // Cannot happen with steps in plan order; guards against an endless loop.
+            Logger.error(`Job ${job.id} has steps that can never start.`);
+            break;
+        }
+        await Promise.race(running);
+    }
+    await persisting;
+
+    if (job.kind === "revert") {
+        await markReverted(job.operationId, job.results);
+    }
+    await updateJob(job.id, {
+        status: "completed",
+        currentDocumentId: null,
+        currentTitle: null,
+        finishedAt: new Date().toISOString(),
+    });
+}
+
+/**
+ * Creates a job that retries only the failed and skipped steps of a finished job.
+ *
+ * @param {Object} job - The finished job.
+ * @returns {Object|null} The retry job, or null if every step succeeded.
+ */
+export function createRetryJob(job) {
+    const retryIds = new Set(job.results.filter(r => r.status !== "succeeded").map(r => r.documentId));
+    const steps = job.steps.filter(step => retryIds.has(step.documentId));
+    if (steps.length === 0) {
+        return null;
+    }
+    const retryJob = createJob({
+        kind: job.kind,
+        label: `Retry: ${job.label}`,
+        steps,
+        operationId: job.kind === "revert" ? job.operationId : null,
+        profileId: job.profileId,
+        targetProfileId: job.targetProfileId,
+    });
+    // Copies of parents that already succeeded are reused for their retried children.
+    retryJob.idMap = { ...job.idMap };
+    retryJob.useDuplicate = job.useDuplicate;
+    return retryJob;
+}
+
+/**
+ * Processes pending jobs one after another until none remain. Interrupted jobs
+ * (still marked "running") resume from their persisted cursor.
+ */
+export async function processJobs() {
+    if (processing) {
+        return;
+    }
+    processing = true;
+    try {
+        let job;
+        while ((job = (await getJobs()).find(isPending))) {
+            try {
+                await runJob(job);
+            } catch (error) {
+                // Settings or storage errors: mark the job failed rather than retrying forever.
+                Logger.error(`Job ${job.id} could not run:`, error);
+                await updateJob(job.id, { status: "failed", error: error.message, finishedAt: new Date().toISOString() });
+            }
+        }
+        chrome.alarms.clear(RESUME_ALARM);
+    } finally {
+        processing = false;
+    }
+}
@@ -0,0 +1,168 @@
+// linkChecker.js
+// Finds internal /doc/ links and document mentions that reorganizations left
+// broken, pointing across collections, pointing at their own document, or using
+// an outdated URL, and rewrites outdated links to the canonical URL of their target.
+
+const MARKDOWN_LINK_PATTERN = /(\[[^\]]*\]\()([^)\s]+)((?:\s+"[^"]*")?\))/g;
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DOCUMENT_MENTION_PATTERN = /^mention:\/\/[^/]+\/document\/([^/?#]+)$/;
+
+/**
+ * Splits an internal document link into its parts.
+ *
+ * @param {string} href - The link target.
+ * @param {string} baseUrl - The base URL of the Outline instance.
+ * @returns {Object|null} { prefix, path, urlId, suffix }, or null if it is not a /doc/ link of this instance.
+ */
+export function parseDocumentLink(href, baseUrl) {
+    const prefix = href.startsWith(baseUrl) ? baseUrl : "";
+    const match = href.slice(prefix.length).match(/^\/doc\/([^#?/]+)(.*)$/);
+    if (!match) {
+        return null;
+    }
+    // A link may use the document ID; otherwise Outline identifies the document by
+    // the last dash-separated part of the slug.
+    const uuid = match[1].match(UUID_PATTERN);
+    return { prefix, path: `/doc/${match[1]}`, urlId: uuid ? uuid[0] : match[1].split("-").pop(), suffix: match[2] };
+}
+
+/**
+ * Returns the document a mention points to. Outline writes mentions as
+ * @[Title](mention://<mention id>/document/<document id>); user mentions are ignored.
+ *
+ * @param {string} href - The link target.
+ * @returns {string|null} The document ID, or null if it is not a document mention.
+ */
+export function parseDocumentMention(href) {
+    const match = href.match(DOCUMENT_MENTION_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Flattens the trees of the scanned collections.
+ *
+ * @param {Array} collections - Entries: { id, name, tree }.
+ * @returns {Array} Documents: { id, title, url, collectionId }.
+ */
+function flattenCollections(collections) {
+    const documents = [];
+    const visit = (nodes, collectionId) => nodes.forEach(node => {
+        documents.push({ id: node.id, title: node.title || "(Untitled)", url: node.url, collectionId });
+        visit(node.children || [], collectionId);
+    });
+    collections.forEach(collection => visit(collection.tree, collection.id));
+    return documents;
+}
+
+/**
+ * Scans the documents of the given collections and reports every problematic link
+ * or document mention. Targets outside the scanned collections are looked up through the API.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Array} collections - Entries: { id, name, tree } where tree comes from buildTree.
+ * @param {Function} [onProgress] - Called with (done, total) after each document.
+ * @returns {Promise<Array>} Issues: { source, href, target, problems, canonicalHref } where
+ *   problems contains "broken", "cross-collection", "self" and/or "outdated", and
+ *   canonicalHref is set for outdated links.
+ */
+export async function checkLinks(api, collections, onProgress = () => {}) {
+    const documents = flattenCollections(collections);
+    const targetsByUrlId = {};
+    documents.forEach(doc => {
+        const urlId = doc.url ? doc.url.split("-").pop() : null;
+        if (urlId) {
+            targetsByUrlId[urlId] = doc;
+        }
+        targetsByUrlId[doc.id] = doc;
+    });
+
+    const resolveTarget = async (urlId) => {
+        if (!(urlId in targetsByUrlId)) {
+            // documents.info accepts a urlId as well as an ID.
+            const doc = await api.getDocument(urlId);
+            targetsByUrlId[urlId] = doc
+                ? { id: doc.id, title: doc.title || "(Untitled)", url: doc.url, collectionId: doc.collectionId }
+                : null;
+        }
+        return targetsByUrlId[urlId];
+    };
+
+    const issues = [];
+    for (let i = 0; i < documents.length; i++) {
+        const source = documents[i];
+        const doc = await api.getDocument(source.id);
+        for (const match of (doc ? doc.text || "" : "").matchAll(MARKDOWN_LINK_PATTERN)) {
+            const href = match[2];
+            const link = parseDocumentLink(href, api.baseUrl);
+            const mentionedId = link ? null : parseDocumentMention(href);
+            if (!link && !mentionedId) {
+                continue;
+            }
+            const target = await resolveTarget(link ? link.urlId : mentionedId);
+            const problems = [];
+            let canonicalHref = null;
+            if (!target) {
+                problems.push("broken");
+            } else {
+                if (target.collectionId !== source.collectionId) {
+                    problems.push("cross-collection");
+                }
+                if (target.id === source.id) {
+                    problems.push("self");
+                }
+                // Mentions and links by document ID never get outdated.
+                if (link && link.urlId !== target.id && target.url && target.url !== link.path) {
+                    problems.push("outdated");
+                    canonicalHref = `${link.prefix}${target.url}${link.suffix}`;
+                }
+            }
+            if (problems.length > 0) {
+                issues.push({ source, href, target, problems, canonicalHref });
+            }
+        }
+        onProgress(i + 1, documents.length);
+    }
+    return issues;
+}
+
+/**
+ * Builds the job steps rewriting outdated links, one step per document.
+ *
+ * @param {Array} issues - Issues from checkLinks.
+ * @returns {Array} The job steps: { documentId, title, depth, collectionId, replacements, dependsOn }.
+ */
+export function buildLinkRewriteSteps(issues) {
+    const steps = {};
+    issues.filter(issue => issue.canonicalHref).forEach(issue => {
+        const step = steps[issue.source.id] || (steps[issue.source.id] = {
+            documentId: issue.source.id,
+            title: issue.source.title,
+            depth: 0,
+            collectionId: issue.source.collectionId,
+            replacements: {},
+            dependsOn: null,
+        });
+        step.replacements[issue.href] = issue.canonicalHref;
+    });
+    return Object.values(steps);
+}
+
+/**
+ * Executes a single link rewrite step. The document is read again, so edits made
+ * since the check are kept; only the recorded links are replaced.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} step - The step.
+ * @returns {Promise<void>}
+ */
+export async function executeLinkRewriteStep(api, step) {
+    const doc = await api.getDocument(step.documentId);
+    if (!doc) {
+        throw new Error("Document not found");
+    }
+    const text = doc.text.replace(MARKDOWN_LINK_PATTERN, (link, open, href, close) =>
+        (step.replacements[href] ? `${open}${step.replacements[href]}${close}` : link));
+    if (text !== doc.text) {
+        await api.updateDocument(step.documentId, { text });
+    }
+}
@@ -1,7 +1,46 @@
-import { getOutlineAPI } from './storageManager.js';
+import {
+    get, set, getOutlineAPI, getProfiles, getActiveProfileId, setActiveProfileId,
+    getCachedTree, putCachedTree, invalidateTreeCache, getTreeVersion, revalidateCachedTree,
+} from './storageManager.js';
+import { buildMovePlan, getChildEntries, findNode } from './movePlanner.js';
+import { downloadBlob } from './utils.js';
+import { exportSubtrees } from './markdownExport.js';
+import { buildImportTree, buildImportSteps } from './markdownImport.js';
+import { readZip } from './zipArchive.js';
+import { checkLinks, buildLinkRewriteSteps } from './linkChecker.js';
+import { listSnapshots, getSnapshot, deleteSnapshot, diffSnapshot, buildRestoreSteps, SNAPSHOT_TEXT_KEY } from './snapshotStore.js';
+import { getJournal, getOperationsToRevert, buildRevertSteps } from './moveJournal.js';
+import { BULK_ACTIONS, buildBulkSteps } from './bulkActions.js';
+import { COLLECTION_PERMISSIONS, buildArchiveCollectionStep } from './collectionActions.js';
+import { getCommonParentId, buildWrapSteps, buildFlattenSteps, buildPromoteSteps } from './restructure.js';
+import { SORT_KEYS, needsSortMetadata, buildSortPlan, buildSortSteps } from './childSort.js';
+import { NUMBERING_STYLES, needsRenameMetadata, buildRenamePlan, buildRenameSteps } from './bulkRename.js';
+import { createMatcher, computeVisibility } from './treeFilter.js';
+import { DragDropController } from './dragDropView.js';
+import { DestinationPicker, getRecentDestinations, addRecentDestination } from './destinationPicker.js';
+import { CommandPalette } from './commandPalette.js';
+import { RULE_FIELDS, needsMetadata, findMatchingIds, getSavedRuleSets, saveRuleSet, deleteRuleSet } from './selectionRules.js';
+import { createJob, enqueueJobs, getJobs, watchJobs, isPending, planToSteps, createRetryJob } from './jobQueue.js';
 
 let documentTreeData = [];
-let documentMap = {};
+let destinationTreeData = [];
+let collectionsById = {};
+let destinationCollectionsById = {};
+let pendingMove = null;
+let knownJobStatuses = {};
+let reportedJob = null;
+let filterMatches = null;
+let fullTextCache = null;
+let filterTimer = null;
+let sourceMetadataById = null;
+let dragDropController = null;
+let destinationPicker = null;
+let importTreeData = null;
+let linkIssues = [];
+let changedNodeIds = new Set();
+let sortTargetId = "";
+let commandPalette = null;
+let lastClickedCheckbox = null;
 
 /**
  * Recursively flattens a nested API response into a flat array.
@@ -34,29 +73,15 @@ function flattenApiDocs(docs, parentDocumentId = null) {
  *
  * @param {HTMLElement} selectElem - The <select> element to populate.
  * @param {Array} items - Array of items with id and name.
- * @param {boolean} useIndentation - Whether to add indentation to the option text.
  */
-function populateDropdown(selectElem, items, useIndentation = false) {
+function populateDropdown(selectElem, items) {
     selectElem.innerHTML = "";
-    if (!useIndentation) {
-        items.forEach(item => {
-            const option = document.createElement("option");
-            option.value = item.id;
-            option.textContent = item.name;
-            selectElem.appendChild(option);
-        });
-    } else {
-        const defaultOption = document.createElement("option");
-        defaultOption.value = "";
-        defaultOption.textContent = "Collection Root";
-        selectElem.appendChild(defaultOption);
-        items.forEach(item => {
-            const option = document.createElement("option");
-            option.value = item.id;
-            option.textContent = `${" ".repeat(item.indent * 2)}${item.name}`;
-            selectElem.appendChild(option);
-        });
-    }
+    items.forEach(item => {
+        const option = document.createElement("option");
+        option.value = item.id;
+        option.textContent = item.name;
+        selectElem.appendChild(option);
+    });
 }
 
 /**
@@ -81,8 +106,6 @@ function buildTree(docs) {
             roots.push(doc);
         }
     });
-    // Store globally so we can find a doc by ID later
-    documentMap = map;
     return roots;
 }
 
@@ -120,9 +143,27 @@ function renderTreeNode(node) {
     const label = document.createElement("span");
     label.textContent = node.title || "(Untitled)";
     li.appendChild(label);
+    li.dataset.docId = node.id;
+    if (changedNodeIds.has(node.id)) {
+        li.classList.add("tree-changed");
+    }
+
+    // Folders can be collapsed; leaves get an empty toggle so labels stay aligned.
+    const toggle = document.createElement("span");
+    toggle.className = "tree-toggle";
+    li.insertBefore(toggle, checkbox);
 
     // If the node has children (i.e. is a folder), propagate checkbox changes to its descendants.
     if (node.children && node.children.length > 0) {
+        toggle.addEventListener("click", () => li.classList.toggle("collapsed"));
+
+        const sortBtn = document.createElement("button");
+        sortBtn.className = "sort-children-btn";
+        sortBtn.textContent = "⇅";
+        sortBtn.title = "Sort children";
+        sortBtn.addEventListener("click", () => chooseSortTarget(node.id));
+        li.appendChild(sortBtn);
+
         checkbox.addEventListener("change", () => {
             const descendantCheckboxes = li.querySelectorAll("ul input[type='checkbox']");
             descendantCheckboxes.forEach(childCheckbox => {
@@ -141,7 +182,7 @@ function renderTreeNode(node) {
 }
 
 /**
- * Flattens a tree into a list for populating the destination folder dropdown.
+ * Flattens a tree into a list of document id, name and indent level.
  *
  * @param {Array} tree - The tree structure of documents.
  * @param {number} indent - Current indentation level.
@@ -160,6 +201,7 @@ function flattenTree(tree, indent = 0) {
 
 /**
  * Returns an array of selected document IDs from the rendered tree.
+ * While a filter is active, documents hidden by it are never part of the selection.
  *
  * @returns {Array} Array of document IDs.
  */
@@ -167,13 +209,151 @@ function getSelectedDocumentIds() {
     const checkboxes = document.querySelectorAll("#documentTree input[type='checkbox']");
     const selected = [];
     checkboxes.forEach(cb => {
-        if (cb.checked) {
+        if (cb.checked && !cb.closest("li.filter-hidden")) {
             selected.push(cb.dataset.docId);
         }
     });
     return selected;
 }
 
+/**
+ * Returns the checkboxes of the source tree that are currently visible, i.e. not
+ * hidden by the filter or inside a collapsed folder, in tree order.
+ *
+ * @returns {Array} The checkbox elements.
+ */
+function getVisibleTreeCheckboxes() {
+    return [...document.querySelectorAll("#documentTree input[type='checkbox']")]
+        .filter(cb => !cb.closest("li.filter-hidden") && !cb.closest("li.collapsed > ul"));
+}
+
+/**
+ * Keyboard navigation of the source tree: Up/Down move between visible documents,
+ * Right expands a folder or enters it, Left collapses it or goes to the parent,
+ * Home/End jump to the first/last document. Space toggles the focused checkbox
+ * natively, which also fires the click used for range selection.
+ *
+ * @param {KeyboardEvent} e - The keydown event.
+ */
+function handleTreeKeydown(e) {
+    const checkbox = e.target;
+    if (!checkbox.matches("input[type='checkbox']") || e.altKey || e.ctrlKey || e.metaKey) {
+        return;
+    }
+    const visible = getVisibleTreeCheckboxes();
+    const index = visible.indexOf(checkbox);
+    const li = checkbox.closest("li");
+    const hasChildren = Boolean(li.querySelector(":scope > ul"));
+    let target = null;
+    if (e.key === "ArrowDown") {
+        target = visible[index + 1];
+    } else if (e.key === "ArrowUp") {
+        target = visible[index - 1];
+    } else if (e.key === "Home") {
+        target = visible[0];
+    } else if (e.key === "End") {
+        target = visible[visible.length - 1];
+    } else if (e.key === "ArrowRight" && hasChildren) {
+        if (li.classList.contains("collapsed")) {
+            li.classList.remove("collapsed");
+        } else {
+            target = li.querySelector(":scope > ul > li > input[type='checkbox']");
+        }
+    } else if (e.key === "ArrowLeft") {
+        if (hasChildren && !li.classList.contains("collapsed")) {
+            li.classList.add("collapsed");
+        } else {
+            const parentLi = li.parentElement.closest("li");
+            target = parentLi ? parentLi.querySelector(":scope > input[type='checkbox']") : null;
+        }
+    } else {
+        return;
+    }
+    e.preventDefault();
+    if (target) {
+        target.focus();
+        target.scrollIntoView({ block: "nearest" });
+    }
+}
+
+/**
+ * Shift-click range selection in the source tree: every visible document between
+ * the previously clicked checkbox and this one gets the state of this one.
+ *
+ * @param {MouseEvent} e - The click event.
+ */
+function handleTreeClick(e) {
+    const checkbox = e.target;
+    if (!checkbox.matches("input[type='checkbox']")) {
+        return;
+    }
+    const anchor = lastClickedCheckbox;
+    lastClickedCheckbox = checkbox;
+    if (!e.shiftKey || !anchor || anchor === checkbox || !anchor.isConnected) {
+        return;
+    }
+    const visible = getVisibleTreeCheckboxes();
+    const from = visible.indexOf(anchor);
+    const to = visible.indexOf(checkbox);
+    if (from === -1 || to === -1) {
+        return;
+    }
+    visible.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(cb => {
+        if (cb !== checkbox && cb.checked !== checkbox.checked) {
+            cb.checked = checkbox.checked;
+            // Folders pass the new state on to their descendants.
+            cb.dispatchEvent(new Event("change"));
+        }
+    });
+}
+
+/**
+ * Applies the filter box to the rendered source tree: hides non-matching branches,
+ * expands the ancestors of matches and highlights the matches themselves.
+ */
+async function applyTreeFilter() {
+    const query = document.getElementById("treeFilter").value.trim();
+    const mode = document.getElementById("filterMode").value;
+    const status = document.getElementById("filterStatus");
+    status.textContent = "";
+
+    let matcher;
+    try {
+        let fullTextIds;
+        if (mode === "fulltext" && query) {
+            if (!fullTextCache || fullTextCache.query !== query) {
+                const api = await getOutlineAPI();
+                const collectionId = document.getElementById("collectionSelect").value;
+                const docs = await api.searchDocuments(query, collectionId);
+                fullTextCache = { query, ids: new Set(docs.map(doc => doc.id)) };
+            }
+            fullTextIds = fullTextCache.ids;
+        }
+        matcher = createMatcher(mode, query, fullTextIds);
+    } catch (error) {
+        status.textContent = error instanceof SyntaxError ? "Invalid regular expression." : `Search failed: ${error.message}`;
+        return;
+    }
+
+    const items = document.querySelectorAll("#documentTree li");
+    if (!matcher) {
+        filterMatches = null;
+        items.forEach(li => li.classList.remove("filter-hidden", "filter-match"));
+        return;
+    }
+    const { matches, visible } = computeVisibility(documentTreeData, matcher);
+    filterMatches = matches;
+    items.forEach(li => {
+        const id = li.dataset.docId;
+        li.classList.toggle("filter-hidden", !visible.has(id));
+        li.classList.toggle("filter-match", matches.has(id));
+        if (visible.has(id) && !matches.has(id)) {
+            li.classList.remove("collapsed");
+        }
+    });
+    status.textContent = `${matches.size} match(es).`;
+}
+
 /**
  * Given the tree data and selected IDs, filters out nodes that are descendants
  * of other selected nodes.
@@ -195,140 +375,2194 @@ function filterTopLevelSelected(tree, selectedIds) {
 }
 
 /**
- * Recursively moves a document and its children.
+ * Formats a duration in milliseconds as m:ss.
  *
- * @param {Object} api - The Outline API instance.
- * @param {Object} doc - The document to move.
- * @param {string} destCollectionId - The destination collection ID.
- * @param {string} destParentId - The destination parent document ID.
+ * @param {number} ms - The duration.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return `${minutes}:${seconds}`;
+}
+
+/**
+ * Renders the progress panel for the job currently being processed, if any.
+ *
+ * @param {Array} jobs - The stored jobs, oldest first.
  */
-async function moveDocumentRecursively(api, doc, destCollectionId, destParentId) {
-    console.log(`Moving document ${doc.id} to collection ${destCollectionId}, parent ${destParentId}`);
-    await api.moveDocument(doc.id, destCollectionId, destParentId);
-    if (doc.children && doc.children.length > 0) {
-        for (const child of doc.children) {
-            await moveDocumentRecursively(api, child, destCollectionId, doc.id);
+function renderProgress(jobs) {
+    const panel = document.getElementById("progressPanel");
+    const job = jobs.find(j => j.status === "running") || jobs.find(isPending);
+    panel.hidden = !job;
+    if (!job) {
+        return;
+    }
+    const total = job.steps.length;
+    const done = job.cursor;
+    const queued = jobs.filter(isPending).length - 1;
+    document.getElementById("progressLabel").textContent =
+        `${job.label}${queued > 0 ? ` (+${queued} queued)` : ""}`;
+    const bar = document.getElementById("progressBar");
+    bar.max = total;
+    bar.value = done;
+    document.getElementById("progressCount").textContent = `${done} of ${total} processed`;
+    document.getElementById("progressCurrent").textContent = job.currentTitle ? `Current: ${job.currentTitle}` : "";
+
+    let timing = "";
+    if (job.startedAt) {
+        const elapsed = Date.now() - new Date(job.startedAt).getTime();
+        timing = `Elapsed ${formatDuration(elapsed)}`;
+        if (done > 0 && done < total) {
+            timing += ` · ETA ${formatDuration((elapsed / done) * (total - done))}`;
         }
     }
+    document.getElementById("progressTiming").textContent = timing;
 }
 
 /**
- * Loads collections and populates the source and destination collection dropdowns.
+ * Renders the report of a finished job: succeeded, failed and skipped documents.
+ *
+ * @param {Object} job - The finished job.
  */
-async function loadCollections() {
+function renderJobReport(job) {
+    reportedJob = job;
+    const panel = document.getElementById("reportPanel");
+    panel.hidden = false;
+    const groups = { succeeded: [], failed: [], skipped: [] };
+    job.results.forEach(result => groups[result.status].push(result));
+    document.getElementById("reportSummary").textContent =
+        `${job.label}: ${groups.succeeded.length} succeeded, ${groups.failed.length} failed, ${groups.skipped.length} skipped.`;
+
+    const container = document.getElementById("reportDetails");
+    container.innerHTML = "";
+    ["failed", "skipped", "succeeded"].forEach(status => {
+        if (groups[status].length === 0) {
+            return;
+        }
+        const details = document.createElement("details");
+        details.open = status !== "succeeded";
+        const summary = document.createElement("summary");
+        summary.textContent = `${status[0].toUpperCase()}${status.slice(1)} (${groups[status].length})`;
+        details.appendChild(summary);
+        const ul = document.createElement("ul");
+        groups[status].forEach(result => {
+            const li = document.createElement("li");
+            li.className = `result-${result.status}`;
+            let text = result.title;
+            if (result.httpStatus) {
+                text += ` [HTTP ${result.httpStatus}]`;
+            }
+            if (result.message) {
+                text += `: ${result.message}`;
+            }
+            li.textContent = text;
+            ul.appendChild(li);
+        });
+        details.appendChild(ul);
+        container.appendChild(details);
+    });
+    document.getElementById("retryFailedBtn").hidden = groups.failed.length + groups.skipped.length === 0;
+    if (job.snapshotError) {
+        const warning = document.createElement("p");
+        warning.className = "result-failed";
+        warning.textContent = `No snapshot was taken before this job: ${job.snapshotError}`;
+        container.appendChild(warning);
+    }
+}
+
+/**
+ * Reacts to job state changes: re-renders progress and, when a job has just
+ * finished, reports its results and refreshes the tree and the history.
+ *
+ * @param {Array} jobs - The stored jobs, oldest first.
+ */
+async function onJobsChanged(jobs) {
+    renderProgress(jobs);
+    const justFinished = jobs.filter(job => !isPending(job) && knownJobStatuses[job.id] !== job.status);
+    knownJobStatuses = {};
+    jobs.forEach(job => {
+        knownJobStatuses[job.id] = job.status;
+    });
+    if (justFinished.length === 0) {
+        return;
+    }
+    renderJobReport(justFinished[justFinished.length - 1]);
+    await renderHistory();
+    await renderSnapshots();
+    if (document.getElementById("collectionSelect").value) {
+        await refreshSourceTree(await getOutlineAPI());
+    }
+}
+
+/**
+ * Renders the move history with a revert button per operation.
+ */
+async function renderHistory() {
+    const journal = await getJournal();
+    const list = document.getElementById("historyList");
+    list.innerHTML = "";
+    document.getElementById("undoBtn").disabled = !journal.some(op => !op.revertedAt);
+    if (journal.length === 0) {
+        list.textContent = "No bulk moves recorded yet.";
+        return;
+    }
+    const ul = document.createElement("ul");
+    journal.forEach(operation => {
+        const li = document.createElement("li");
+        const label = document.createElement("span");
+        const when = new Date(operation.createdAt).toLocaleString();
+        label.textContent = `${when}: ${operation.label} (${operation.moves.length} document(s))`;
+        li.appendChild(label);
+        if (operation.revertedAt) {
+            li.classList.add("reverted");
+        } else {
+            const revertBtn = document.createElement("button");
+            revertBtn.textContent = "Revert";
+            revertBtn.addEventListener("click", () => revertUpTo(operation.id));
+            li.appendChild(revertBtn);
+        }
+        ul.appendChild(li);
+    });
+    list.appendChild(ul);
+}
+
+/**
+ * Reverts the given operation and, first, every newer operation that has not been reverted.
+ *
+ * @param {string} operationId - The oldest operation to revert.
+ */
+async function revertUpTo(operationId) {
+    const journal = await getJournal();
+    const operations = getOperationsToRevert(journal, operationId);
+    if (operations.length === 0) {
+        return;
+    }
+    const message = operations.length > 1
+        ? `This will revert ${operations.length} operations, newest first. Continue?`
+        : `Revert "${operations[0].label}"?`;
+    if (!confirm(message)) {
+        return;
+    }
     try {
-        const api = await getOutlineAPI();
-        const collections = await api.listCollections();
-        console.debug("[DEBUG] Collections loaded:", collections);
-        populateDropdown(document.getElementById("collectionSelect"), collections);
-        populateDropdown(document.getElementById("destinationCollection"), collections);
+        // Operations are queued newest first, so later moves are undone before earlier ones.
+        await enqueueJobs(operations.map(operation => createJob({
+            kind: "revert",
+            label: `Revert: ${operation.label}`,
+            steps: buildRevertSteps(operation),
+            operationId: operation.id,
+            // Operations journaled before workspaces existed ran in the active one.
+            profileId: operation.profileId || null,
+        })));
     } catch (error) {
-        console.error("Error loading collections:", error);
-        alert("Failed to load collections. Check console for details.");
+        console.error("Error reverting operation:", error);
+        alert("Failed to revert the operation. Check console for details.");
     }
 }
 
 /**
- * Initializes the document mover manager.
+ * Returns the visible label of the selected option of a <select>, without indentation.
+ *
+ * @param {HTMLSelectElement} selectElem - The <select> element.
+ * @returns {string} The trimmed label, or an empty string if nothing is selected.
  */
-async function initManager() {
+function getSelectedLabel(selectElem) {
+    const option = selectElem.options[selectElem.selectedIndex];
+    return option ? option.textContent.trim() : "";
+}
+
+/**
+ * Returns the destination parent chosen in the picker.
+ *
+ * @returns {string} The parent document ID, or an empty string for the collection root.
+ */
+function getDestinationParentId() {
+    return destinationPicker.getSelection().parentDocumentId;
+}
+
+/**
+ * Returns the workspace (connection profile) chosen as destination.
+ *
+ * @returns {string} The profile ID.
+ */
+function getDestinationProfileId() {
+    return document.getElementById("destinationWorkspace").value;
+}
+
+/**
+ * Returns whether the destination is in another workspace than the source.
+ * Documents cannot be moved between servers, only transferred as copies.
+ *
+ * @returns {boolean} True for a cross-workspace destination.
+ */
+function isCrossWorkspace() {
+    return getDestinationProfileId() !== document.getElementById("workspaceSelect").value;
+}
+
+/**
+ * Loads the tree of a destination collection into the picker. A cached tree is
+ * shown at once and checked for changes in the background.
+ *
+ * @param {string} collectionId - The destination collection ID.
+ */
+async function loadDestinationTree(collectionId) {
+    const profileId = getDestinationProfileId();
+    const api = await getOutlineAPI(profileId);
+    const cached = await getCachedTree(profileId, collectionId);
+    if (cached) {
+        showDestinationTree(collectionId, cached.documents);
+        revalidateDestinationTree(api, cached);
+    } else {
+        // The version is read first, so changes made while the tree loads are caught next time.
+        const version = await getTreeVersion(api, collectionId);
+        const docs = await api.getCollectionDocuments(collectionId);
+        showDestinationTree(collectionId, docs);
+        await putCachedTree(profileId, collectionId, docs, version);
+    }
+
+    // Pending drag-and-drop moves targeted the previous destination.
+    dragDropController.clear();
+}
+
+/**
+ * Shows the documents of a destination collection in the picker.
+ *
+ * @param {string} collectionId - The destination collection ID.
+ * @param {Array} docs - The nested documents of the collection.
+ */
+function showDestinationTree(collectionId, docs) {
+    // Flatten the API response so that nested children are included.
+    const flatDocs = flattenApiDocs(docs);
+    destinationTreeData = buildTree(flatDocs);
+    const collection = destinationCollectionsById[collectionId];
+    destinationPicker.setTree(collectionId, collection ? collection.name : "", destinationTreeData);
+}
+
+/**
+ * Replaces a cached destination tree with the current one if it changed, keeping
+ * the chosen parent selected.
+ *
+ * @param {Object} api - The Outline API instance of the destination workspace.
+ * @param {Object} cached - The cache entry that is shown.
+ */
+async function revalidateDestinationTree(api, cached) {
     try {
-        // "Select All" checkbox logic
-        const selectAllCheckbox = document.getElementById("selectAllCheckbox");
-        selectAllCheckbox.addEventListener("change", (e) => {
-            const isChecked = e.target.checked;
-            const checkboxes = document.querySelectorAll("#documentTree input[type='checkbox']");
-            checkboxes.forEach(cb => {
-                cb.checked = isChecked;
-            });
-        });
+        const fresh = await revalidateCachedTree(api, cached);
+        // Another destination may have been chosen in the meantime.
+        if (!fresh || getDestinationProfileId() !== cached.profileId
+            || document.getElementById("destinationCollection").value !== cached.collectionId) {
+            return;
+        }
+        const parentId = getDestinationParentId();
+        showDestinationTree(cached.collectionId, fresh.documents);
+        if (parentId && destinationPicker.getNode(parentId)) {
+            destinationPicker.select(parentId);
+        }
+        dragDropController.render();
+    } catch (error) {
+        console.error("Error checking the destination tree for changes:", error);
+    }
+}
 
-        // When a source collection is chosen, load its document tree.
-        document.getElementById("collectionSelect").addEventListener("change", async (e) => {
-            const collectionId = e.target.value;
-            console.debug("[DEBUG] Source Collection Selected:", collectionId);
-            const api = await getOutlineAPI();
-            const docs = await api.getCollectionDocuments(collectionId);
-            // Flatten the API response so that nested children are included.
-            const flatDocs = flattenApiDocs(docs);
-            console.debug("[DEBUG] Flattened docs for source collection:", flatDocs);
-            documentTreeData = buildTree(flatDocs);
-            renderDocumentTree(documentTreeData, document.getElementById("documentTree"));
-        });
+/**
+ * Refreshes the dropdown of recently used destinations.
+ */
+async function renderRecentDestinations() {
+    const recent = await getRecentDestinations();
+    populateDropdown(document.getElementById("recentDestinations"), [
+        { id: "", name: recent.length > 0 ? "Recent destinations…" : "No recent destinations" },
+        ...recent.map((entry, i) => ({ id: String(i), name: entry.label })),
+    ]);
+}
 
-        // When a destination collection is chosen, load its documents for folder selection.
-        document.getElementById("destinationCollection").addEventListener("change", async (e) => {
-            const collectionId = e.target.value;
-            const api = await getOutlineAPI();
-            const docs = await api.getCollectionDocuments(collectionId);
-            // Flatten the API response so that nested children are included.
-            const flatDocs = flattenApiDocs(docs);
-            // Build the full tree and flatten it for the main dropdown.
-            const tree = buildTree(flatDocs);
-            const flatList = flattenTree(tree);
-            populateDropdown(document.getElementById("destinationFolder"), flatList, true);
-
-            // Clear any existing subfolder dropdown.
-            populateDropdown(document.getElementById("destinationSubFolder"), [], false);
-        });
-
-        // When the user picks something from the main destinationFolder dropdown...
-        document.getElementById("destinationFolder").addEventListener("change", (e) => {
-            const folderId = e.target.value;
-            // Clear the subfolder dropdown initially.
-            populateDropdown(document.getElementById("destinationSubFolder"), [], false);
-
-            if (!folderId) {
-                // If the user chose "Collection Root," there's no subfolder.
-                return;
-            }
+/**
+ * Returns the current children of the chosen destination parent, in their navigation order.
+ *
+ * @returns {Array} The sibling nodes the moved block will be inserted among.
+ */
+function getDestinationSiblings() {
+    const parentId = getDestinationParentId();
+    if (!parentId) {
+        return destinationTreeData;
+    }
+    const parent = destinationPicker.getNode(parentId);
+    return parent ? parent.children : [];
+}
 
-            // Look up the chosen folder document from the global map.
-            const folderDoc = documentMap[folderId];
-            if (folderDoc && folderDoc.children && folderDoc.children.length > 0) {
-                // Flatten only the direct children subtree.
-                const subTree = folderDoc.children;
-                const subList = flattenTree(subTree);
-                populateDropdown(document.getElementById("destinationSubFolder"), subList, true);
-            }
-        });
+/**
+ * Populates the "after sibling" dropdown and shows it only for the "after" position.
+ */
+function updateSiblingOptions() {
+    const siblingSelect = document.getElementById("destinationSibling");
+    const siblings = getDestinationSiblings().map(node => ({ id: node.id, name: node.title || "(Untitled)" }));
+    populateDropdown(siblingSelect, siblings);
+    const isAfter = document.getElementById("destinationPosition").value === "after";
+    siblingSelect.hidden = !isAfter || siblings.length === 0;
+}
 
-        // When the user clicks the Move button, process the selected documents.
-        document.getElementById("moveBtn").addEventListener("click", async () => {
-            const selectedIds = getSelectedDocumentIds();
-            if (selectedIds.length === 0) {
-                alert("Please select at least one document to move.");
-                return;
-            }
-            const topLevelSelected = filterTopLevelSelected(documentTreeData, selectedIds);
-            const destCollectionId = document.getElementById("destinationCollection").value;
-            // Check both dropdowns: use subfolder if selected, otherwise the main folder.
-            let destFolderId = document.getElementById("destinationSubFolder").value;
-            if (!destFolderId) {
-                destFolderId = document.getElementById("destinationFolder").value;
-            }
+/**
+ * Reads the insert position of the moved block from the form.
+ *
+ * @returns {Object} The position: { type, siblingIndex }.
+ */
+function getDestinationPosition() {
+    const type = document.getElementById("destinationPosition").value;
+    if (type !== "after") {
+        return { type };
+    }
+    const siblingId = document.getElementById("destinationSibling").value;
+    const siblingIndex = getDestinationSiblings().findIndex(node => node.id === siblingId);
+    // Without a valid sibling, "after" degrades to appending at the bottom.
+    return siblingIndex === -1 ? { type: "bottom" } : { type, siblingIndex };
+}
 
-            if (!destCollectionId) {
-                alert("Please select a destination collection.");
-                return;
-            }
+/**
+ * Renders the subtree of plan entries below a path heading.
+ *
+ * @param {Object} plan - The move plan.
+ * @param {Array} entries - The plan entries to render at this level.
+ * @param {string} className - CSS class marking the entries (removed or added).
+ * @returns {HTMLElement} The <ul> element.
+ */
+function renderPlanEntries(plan, entries, className) {
+    const ul = document.createElement("ul");
+    entries.forEach(entry => {
+        const li = document.createElement("li");
+        li.className = className;
+        li.textContent = entry.title;
+        const children = getChildEntries(plan, entry);
+        if (children.length > 0) {
+            li.appendChild(renderPlanEntries(plan, children, className));
+        }
+        ul.appendChild(li);
+    });
+    return ul;
+}
 
-            const api = await getOutlineAPI();
-            for (const doc of topLevelSelected) {
-                await moveDocumentRecursively(api, doc, destCollectionId, destFolderId);
-            }
-            alert("Documents moved successfully!");
+/**
+ * Renders one side of the before/after diff, grouping top-level entries by location.
+ *
+ * @param {Object} plan - The move plan.
+ * @param {string} side - Either "from" or "to".
+ * @param {HTMLElement} container - The element to render into.
+ */
+function renderPlanSide(plan, side, container) {
+    container.innerHTML = "";
+    const groups = new Map();
+    plan.documents.filter(entry => entry.depth === 0).forEach(entry => {
+        const label = entry[side].path.join(" › ");
+        if (!groups.has(label)) {
+            groups.set(label, []);
+        }
+        groups.get(label).push(entry);
+    });
+    const ul = document.createElement("ul");
+    groups.forEach((entries, label) => {
+        const li = document.createElement("li");
+        li.className = "plan-location";
+        li.textContent = label;
+        // A copy leaves the source in place, so only a move marks it as removed.
+        const className = side === "to" ? "plan-added" : (plan.mode === "move" ? "plan-removed" : "plan-kept");
+        li.appendChild(renderPlanEntries(plan, entries, className));
+        ul.appendChild(li);
+    });
+    container.appendChild(ul);
+}
 
-            // Refresh the source tree.
-            const sourceCollectionId = document.getElementById("collectionSelect").value;
-            const docs = await api.getCollectionDocuments(sourceCollectionId);
-            const flatDocs = flattenApiDocs(docs);
-            documentTreeData = buildTree(flatDocs);
-            renderDocumentTree(documentTreeData, document.getElementById("documentTree"));
+/**
+ * Shows the dry-run preview of a move plan.
+ *
+ * @param {Object} plan - The move plan.
+ */
+function showMovePreview(plan) {
+    const rootCount = plan.documents.filter(entry => entry.depth === 0).length;
+    const position = plan.destination.position || { type: "bottom" };
+    let placement = position.type === "top" ? "at the top" : "at the bottom";
+    if (position.type === "after") {
+        const sibling = getDestinationSiblings()[position.siblingIndex];
+        placement = `after "${sibling ? sibling.title : "?"}"`;
+    }
+    const verb = { move: "moved", copy: "copied", transfer: "copied to another workspace" }[plan.mode];
+    document.getElementById("previewSummary").textContent =
+        `${plan.documents.length} document(s) in ${rootCount} subtree(s) will be ${verb} and inserted ${placement}.`;
+    renderPlanSide(plan, "from", document.getElementById("previewBefore"));
+    renderPlanSide(plan, "to", document.getElementById("previewAfter"));
+    document.getElementById("confirmMoveBtn").textContent = plan.mode === "move" ? "Confirm Move" : "Confirm Copy";
+    document.getElementById("movePreview").hidden = false;
+}
+
+/**
+ * Returns the selected operation mode.
+ *
+ * @returns {string} "move" or "copy".
+ */
+function getOperationMode() {
+    return document.querySelector("input[name='operationMode']:checked").value;
+}
+
+/**
+ * Hides the move preview and forgets the pending plan.
+ */
+function hideMovePreview() {
+    pendingMove = null;
+    document.getElementById("movePreview").hidden = true;
+}
+
+/**
+ * Reloads the source collection and re-renders its tree. Active documents are
+ * served from the tree cache when possible and checked for changes in the background.
+ *
+ * @param {Object} api - The Outline API instance.
+ */
+async function refreshSourceTree(api) {
+    const sourceCollectionId = document.getElementById("collectionSelect").value;
+    const profileId = document.getElementById("workspaceSelect").value;
+    const cacheable = document.getElementById("sourceView").value === "active";
+    const status = document.getElementById("treeCacheStatus");
+    changedNodeIds = new Set();
+    status.textContent = "";
+    if (cacheable) {
+        const cached = await getCachedTree(profileId, sourceCollectionId);
+        if (cached) {
+            status.textContent = `Cached ${new Date(cached.cachedAt).toLocaleString()}, checking for changes…`;
+            await showSourceDocuments(cached.documents);
+            revalidateSourceTree(api, cached);
+            return;
+        }
+    }
+    // The version is read first, so changes made while the tree loads are caught next time.
+    const version = cacheable ? await getTreeVersion(api, sourceCollectionId) : null;
+    const docs = [];
+    // Render after every page, so large collections show up while still loading.
+    for await (const page of streamSourceDocuments(api, sourceCollectionId)) {
+        docs.push(...page);
+        // Flatten the API response so that nested children are included.
+        documentTreeData = buildTree(flattenApiDocs(docs));
+        renderDocumentTree(documentTreeData, document.getElementById("documentTree"));
+    }
+    await showSourceDocuments(docs);
+    if (version) {
+        await putCachedTree(profileId, sourceCollectionId, docs, version);
+    }
+}
+
+/**
+ * Renders the documents of the source collection and resets everything derived
+ * from the previous tree.
+ *
+ * @param {Array} docs - The documents, nested as returned by the API.
+ */
+async function showSourceDocuments(docs) {
+    // Flatten the API response so that nested children are included.
+    documentTreeData = buildTree(flattenApiDocs(docs));
+    renderDocumentTree(documentTreeData, document.getElementById("documentTree"));
+    console.debug("[DEBUG] Documents loaded for source collection:", docs.length);
+    // Archived and deleted listings already carry full metadata; the tree does not.
+    sourceMetadataById = null;
+    if (document.getElementById("sourceView").value !== "active") {
+        sourceMetadataById = {};
+        docs.forEach(doc => {
+            sourceMetadataById[doc.id] = doc;
+        });
+    }
+    fullTextCache = null;
+    await applyTreeFilter();
+    dragDropController.render();
+}
+
+/**
+ * Replaces a cached source tree with the current one if it changed. Documents that
+ * changed since the cached load are highlighted and the selection is kept.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} cached - The cache entry that is shown.
+ */
+async function revalidateSourceTree(api, cached) {
+    const status = document.getElementById("treeCacheStatus");
+    const isShown = () => document.getElementById("workspaceSelect").value === cached.profileId
+        && document.getElementById("collectionSelect").value === cached.collectionId
+        && document.getElementById("sourceView").value === "active";
+    try {
+        const fresh = await revalidateCachedTree(api, cached);
+        if (!isShown()) {
+            return;
+        }
+        if (!fresh) {
+            status.textContent = "Up to date.";
+            return;
+        }
+        const selectedIds = getSelectedDocumentIds();
+        changedNodeIds = new Set(fresh.changedIds);
+        await showSourceDocuments(fresh.documents);
+        selectedIds.forEach(id => {
+            const checkbox = document.querySelector(`#documentTree input[data-doc-id="${id}"]`);
+            if (checkbox) {
+                checkbox.checked = true;
+            }
         });
+        status.textContent = `${fresh.changedIds.length} document(s) changed since the last load.`;
+    } catch (error) {
+        console.error("Error checking the source tree for changes:", error);
+        if (isShown()) {
+            status.textContent = "Could not check for changes; showing the cached tree.";
+        }
+    }
+}
+
+/**
+ * Streams the documents of the source collection for the selected view:
+ * active documents, the archive, or the trash.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {string} collectionId - The source collection ID.
+ * @returns {AsyncGenerator<Array>} Pages of documents.
+ */
+async function* streamSourceDocuments(api, collectionId) {
+    const view = document.getElementById("sourceView").value;
+    if (view === "archived") {
+        yield* api.streamArchivedDocuments(collectionId);
+    } else if (view === "trash") {
+        yield await api.listDeletedDocuments(collectionId);
+    } else {
+        yield* api.streamCollectionDocuments(collectionId);
+    }
+}
 
-        // Attach event listener to the Refresh Collections button.
-        document.getElementById("refreshCollections").addEventListener("click", loadCollections);
+/**
+ * Loads full metadata for every document of the source tree, once per tree load.
+ * Documents missing from documents.list (e.g. drafts) are fetched one by one.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @returns {Promise<Object>} Full document data keyed by document ID.
+ */
+async function loadSourceMetadata(api) {
+    if (sourceMetadataById) {
+        return sourceMetadataById;
+    }
+    const metadata = {};
+    const collectionId = document.getElementById("collectionSelect").value;
+    (await api.listDocuments(collectionId)).forEach(doc => {
+        metadata[doc.id] = doc;
+    });
+    for (const node of flattenTree(documentTreeData)) {
+        if (!metadata[node.id]) {
+            const doc = await api.getDocument(node.id);
+            if (doc) {
+                metadata[node.id] = doc;
+            }
+        }
+    }
+    sourceMetadataById = metadata;
+    return metadata;
+}
+
+/**
+ * Adds a rule row to the rules builder.
+ *
+ * @param {Object} [rule] - The rule to show: { field, operator, value }.
+ */
+function addRuleRow(rule = { field: "title", operator: "contains", value: "" }) {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const fieldSelect = document.createElement("select");
+    fieldSelect.className = "rule-field";
+    populateDropdown(fieldSelect, Object.entries(RULE_FIELDS).map(([id, field]) => ({ id, name: field.label })));
+    fieldSelect.value = rule.field;
+
+    const operatorSelect = document.createElement("select");
+    operatorSelect.className = "rule-operator";
+    const valueInput = document.createElement("input");
+    valueInput.className = "rule-value";
+
+    const updateField = () => {
+        const field = RULE_FIELDS[fieldSelect.value];
+        populateDropdown(operatorSelect, field.operators.map(op => ({ id: op, name: op })));
+        valueInput.hidden = !field.input;
+        valueInput.type = field.input || "text";
+    };
+    fieldSelect.addEventListener("change", () => {
+        updateField();
+        valueInput.value = "";
+    });
+    updateField();
+    operatorSelect.value = rule.operator;
+    valueInput.value = rule.value;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.textContent = "✕";
+    removeBtn.title = "Remove rule";
+    removeBtn.addEventListener("click", () => row.remove());
+
+    row.append(fieldSelect, operatorSelect, valueInput, removeBtn);
+    document.getElementById("ruleRows").appendChild(row);
+}
+
+/**
+ * Reads the rule set currently shown in the rules builder.
+ *
+ * @returns {Object} The rule set: { combinator, rules }.
+ */
+function readRuleSet() {
+    const rules = [];
+    document.querySelectorAll("#ruleRows .rule-row").forEach(row => {
+        rules.push({
+            field: row.querySelector(".rule-field").value,
+            operator: row.querySelector(".rule-operator").value,
+            value: row.querySelector(".rule-value").value,
+        });
+    });
+    return { combinator: document.getElementById("ruleCombinator").value, rules };
+}
+
+/**
+ * Shows a rule set in the rules builder.
+ *
+ * @param {Object} ruleSet - The rule set: { combinator, rules }.
+ */
+function showRuleSet(ruleSet) {
+    document.getElementById("ruleCombinator").value = ruleSet.combinator;
+    document.getElementById("ruleRows").innerHTML = "";
+    ruleSet.rules.forEach(rule => addRuleRow(rule));
+}
+
+/**
+ * Replaces the selection with the documents matching the rules builder.
+ */
+async function selectByRules() {
+    const ruleSet = readRuleSet();
+    const status = document.getElementById("rulesStatus");
+    try {
+        const metadata = needsMetadata(ruleSet) ? await loadSourceMetadata(await getOutlineAPI()) : {};
+        const matches = findMatchingIds(documentTreeData, ruleSet, metadata);
+        document.querySelectorAll("#documentTree input[type='checkbox']").forEach(cb => {
+            cb.checked = matches.has(cb.dataset.docId);
+        });
+        status.textContent = `${matches.size} document(s) selected.`;
+    } catch (error) {
+        console.error("Error evaluating selection rules:", error);
+        status.textContent = error instanceof SyntaxError ? "Invalid regular expression." : `Failed: ${error.message}`;
+    }
+}
+
+/**
+ * Refreshes the dropdown of saved rule sets.
+ */
+async function renderSavedRuleSets() {
+    const saved = await getSavedRuleSets();
+    populateDropdown(document.getElementById("savedRuleSets"), Object.keys(saved).map(name => ({ id: name, name })));
+}
+
+/**
+ * Applies the chosen bulk action to the selection, after confirmation.
+ */
+async function applyBulkAction() {
+    const action = document.getElementById("bulkAction").value;
+    const definition = BULK_ACTIONS[action];
+    const selectedIds = getSelectedDocumentIds();
+    if (selectedIds.length === 0) {
+        alert("Please select at least one document.");
+        return;
+    }
+    const steps = buildBulkSteps(action, documentTreeData, selectedIds, document.getElementById("collectionSelect").value);
+    const question = `${definition.label} ${steps.length} document(s)?`;
+    if (definition.confirmWord) {
+        const typed = prompt(`${question} This cannot be undone from this extension.\nType ${definition.confirmWord} to confirm.`);
+        if (typed !== definition.confirmWord) {
+            return;
+        }
+    } else if (!confirm(question)) {
+        return;
+    }
+    try {
+        await enqueueJobs([createJob({
+            kind: "bulk",
+            label: `${definition.label}: ${steps.length} document(s)`,
+            steps,
+        })]);
+    } catch (error) {
+        console.error("Error starting bulk action:", error);
+        alert("Failed to start the bulk action. Check console for details.");
+    }
+}
+
+/**
+ * Starts a move job that reorganizes the source collection.
+ *
+ * @param {string} label - The job label.
+ * @param {Array} steps - The move steps.
+ */
+async function enqueueRestructure(label, steps) {
+    try {
+        await enqueueJobs([createJob({ kind: "move", label, steps })]);
+    } catch (error) {
+        console.error("Error starting restructure:", error);
+        alert("Failed to start the reorganization. Check console for details.");
+    }
+}
+
+/**
+ * Creates a new parent document and moves the selected siblings under it.
+ */
+async function wrapSelection() {
+    const nodes = filterTopLevelSelected(documentTreeData, getSelectedDocumentIds());
+    if (nodes.length === 0) {
+        alert("Please select the documents to wrap.");
+        return;
+    }
+    const parentId = getCommonParentId(documentTreeData, nodes.map(node => node.id));
+    if (parentId === null) {
+        alert("Only documents with the same parent can be wrapped together.");
+        return;
+    }
+    const title = document.getElementById("wrapTitle").value.trim();
+    if (!title) {
+        alert("Please enter a title for the new parent document.");
+        return;
+    }
+    if (!confirm(`Create "${title}" and move ${nodes.length} document(s) under it?`)) {
+        return;
+    }
+    const collectionId = document.getElementById("collectionSelect").value;
+    // The new parent is created by the job itself, so it is journaled with the moves.
+    await enqueueRestructure(
+        `Wrap: ${nodes.length} document(s) in ${title}`,
+        buildWrapSteps(documentTreeData, nodes.map(node => node.id), collectionId, title),
+    );
+}
+
+/**
+ * Makes every descendant of the selected documents a direct child of them.
+ */
+async function flattenSelection() {
+    const nodes = filterTopLevelSelected(documentTreeData, getSelectedDocumentIds());
+    const steps = buildFlattenSteps(documentTreeData, nodes, document.getElementById("collectionSelect").value);
+    if (steps.every(step => step.from.parentDocumentId === step.to.parentDocumentId)) {
+        alert("Please select documents with nested children to flatten.");
+        return;
+    }
+    if (!confirm(`Flatten ${nodes.length} subtree(s) (${steps.length} document(s))?`)) {
+        return;
+    }
+    await enqueueRestructure(`Flatten: ${nodes.map(node => node.title || "(Untitled)").join(", ")}`, steps);
+}
+
+/**
+ * Moves the children of the selected folders one level up, optionally deleting
+ * the emptied folders.
+ */
+async function promoteSelection() {
+    const nodes = filterTopLevelSelected(documentTreeData, getSelectedDocumentIds());
+    const deleteFolders = document.getElementById("promoteDelete").checked;
+    const steps = buildPromoteSteps(documentTreeData, nodes, document.getElementById("collectionSelect").value, deleteFolders);
+    if (steps.length === 0) {
+        alert("Please select folders with children to promote.");
+        return;
+    }
+    const moves = steps.filter(step => !step.action).length;
+    const afterwards = deleteFolders ? " and delete the emptied folders" : "";
+    if (!confirm(`Move ${moves} document(s) one level up${afterwards}?`)) {
+        return;
+    }
+    await enqueueRestructure(`Promote: ${nodes.map(node => node.title || "(Untitled)").join(", ")}`, steps);
+}
+
+/**
+ * Chooses the document whose children the sort panel sorts, and opens the panel.
+ *
+ * @param {string} documentId - The document ID, or "" for the top level of the collection.
+ */
+function chooseSortTarget(documentId) {
+    sortTargetId = documentId;
+    const node = documentId ? findNode(documentTreeData, documentId) : null;
+    document.getElementById("sortTarget").textContent = node
+        ? `Children of "${node.title || "(Untitled)"}"`
+        : "Top level of the collection";
+    document.getElementById("sortPreview").innerHTML = "";
+    document.getElementById("sortStatus").textContent = "";
+    const panel = document.getElementById("sortPanel");
+    panel.open = true;
+    panel.scrollIntoView({ block: "nearest" });
+}
+
+/**
+ * Computes the sort plan for the chosen document with the options of the sort panel.
+ *
+ * @returns {Promise<Array|null>} The changed groups, or null if the plan cannot be built.
+ */
+async function computeSortPlan() {
+    const root = sortTargetId
+        ? findNode(documentTreeData, sortTargetId)
+        : { id: "", title: "", children: documentTreeData };
+    if (!root) {
+        alert("The chosen document is no longer in the tree. Click its ⇅ button again.");
+        return null;
+    }
+    const options = {
+        key: document.getElementById("sortKey").value,
+        pattern: document.getElementById("sortPattern").value,
+        descending: document.getElementById("sortDescending").checked,
+        recursive: document.getElementById("sortRecursive").checked,
+    };
+    try {
+        const metadata = needsSortMetadata(options) ? await loadSourceMetadata(await getOutlineAPI()) : {};
+        return buildSortPlan(root, options, metadata);
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            alert(`Invalid key pattern: ${error.message}`);
+        } else {
+            console.error("Error loading document dates for sorting:", error);
+            alert(`Failed to load the document dates: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Shows the new order of every group a sort changes, marking the documents that move.
+ *
+ * @param {Array} groups - The groups from buildSortPlan.
+ */
+function showSortPreview(groups) {
+    const container = document.getElementById("sortPreview");
+    container.innerHTML = "";
+    document.getElementById("sortStatus").textContent = groups.length === 0
+        ? "Already in this order."
+        : `${groups.length} folder(s) will be reordered.`;
+    groups.forEach(group => {
+        const heading = document.createElement("div");
+        heading.className = "plan-location";
+        heading.textContent = group.parentTitle || "Top level";
+        const ol = document.createElement("ol");
+        group.after.forEach((node, i) => {
+            const li = document.createElement("li");
+            const previous = group.before.indexOf(node);
+            li.textContent = previous === i ? node.title || "(Untitled)" : `${node.title || "(Untitled)"} (was ${previous + 1})`;
+            if (previous !== i) {
+                li.className = "plan-added";
+            }
+            ol.appendChild(li);
+        });
+        container.append(heading, ol);
+    });
+}
+
+/**
+ * Previews the sort of the chosen document's children.
+ */
+async function previewSort() {
+    const groups = await computeSortPlan();
+    if (groups) {
+        showSortPreview(groups);
+    }
+}
+
+/**
+ * Sorts the chosen document's children in a background move job, after confirmation.
+ */
+async function applySort() {
+    const groups = await computeSortPlan();
+    if (!groups) {
+        return;
+    }
+    showSortPreview(groups);
+    const steps = buildSortSteps(groups, document.getElementById("collectionSelect").value);
+    if (steps.length === 0 || !confirm(`Reorder ${groups.length} folder(s) with ${steps.length} move(s)?`)) {
+        return;
+    }
+    const target = document.getElementById("sortTarget").textContent;
+    await enqueueRestructure(`Sort: ${target} by ${SORT_KEYS[document.getElementById("sortKey").value].label}`, steps);
+}
+
+/**
+ * Reads the rename options from the form.
+ *
+ * @returns {Object} { template, find, replace, ignoreCase, prefix, suffix, numbering, start }.
+ */
+function readRenameOptions() {
+    return {
+        template: document.getElementById("renameTemplate").value,
+        find: document.getElementById("renameFind").value,
+        replace: document.getElementById("renameReplace").value,
+        ignoreCase: document.getElementById("renameIgnoreCase").checked,
+        prefix: document.getElementById("renamePrefix").value,
+        suffix: document.getElementById("renameSuffix").value,
+        numbering: document.getElementById("renameNumbering").value,
+        start: parseInt(document.getElementById("renameStart").value, 10),
+    };
+}
+
+/**
+ * Computes the rename plan of the current selection with the options of the form.
+ *
+ * @returns {Promise<Object|null>} The plan, or null if there is nothing to rename.
+ */
+async function computeRenamePlan() {
+    const selectedIds = getSelectedDocumentIds();
+    if (selectedIds.length === 0) {
+        alert("Please select at least one document to rename.");
+        return null;
+    }
+    const options = readRenameOptions();
+    const collectionId = document.getElementById("collectionSelect").value;
+    try {
+        const metadata = needsRenameMetadata(options) ? await loadSourceMetadata(await getOutlineAPI()) : {};
+        return buildRenamePlan(documentTreeData, selectedIds, options, {
+            metadata,
+            collectionName: (collectionsById[collectionId] || {}).name || "",
+        });
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            alert(`Invalid find pattern: ${error.message}`);
+        } else {
+            console.error("Error loading document dates for renaming:", error);
+            alert(`Failed to load the document dates: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Shows the new titles of a rename plan next to the documents in the source tree,
+ * and lists the sibling groups that would share a title.
+ *
+ * @param {Object} plan - The plan from buildRenamePlan.
+ */
+function showRenamePreview(plan) {
+    document.querySelectorAll("#documentTree .rename-preview").forEach(el => el.remove());
+    plan.entries.filter(entry => entry.newTitle !== entry.title || entry.conflict).forEach(entry => {
+        const li = document.querySelector(`#documentTree li[data-doc-id="${entry.documentId}"]`);
+        const label = li && li.querySelector(":scope > span:not(.tree-toggle)");
+        if (!label) {
+            return;
+        }
+        const preview = document.createElement("span");
+        preview.className = entry.conflict ? "rename-preview rename-conflict" : "rename-preview";
+        preview.textContent = ` → ${entry.newTitle || "(empty)"}`;
+        label.after(preview);
+    });
+
+    const changed = plan.entries.filter(entry => entry.newTitle !== entry.title).length;
+    document.getElementById("renameStatus").textContent =
+        `${changed} of ${plan.entries.length} title(s) change, ${plan.conflicts.length} conflict(s).`;
+    const container = document.getElementById("renameConflicts");
+    container.innerHTML = "";
+    if (plan.conflicts.length === 0) {
+        return;
+    }
+    const ul = document.createElement("ul");
+    plan.conflicts.forEach(conflict => {
+        const li = document.createElement("li");
+        li.textContent = `"${conflict.title}" would be used by ${conflict.documentIds.length} documents under ${conflict.parentTitle || "the collection root"}`;
+        ul.appendChild(li);
+    });
+    container.appendChild(ul);
+}
+
+/**
+ * Previews the rename of the selection in the source tree.
+ */
+async function previewRename() {
+    const plan = await computeRenamePlan();
+    if (plan) {
+        showRenamePreview(plan);
+    }
+}
+
+/**
+ * Renames the selected documents in a background job, after confirmation.
+ */
+async function applyRename() {
+    const plan = await computeRenamePlan();
+    if (!plan) {
+        return;
+    }
+    showRenamePreview(plan);
+    const steps = buildRenameSteps(plan, document.getElementById("collectionSelect").value);
+    if (steps.length === 0) {
+        alert("No title would change.");
+        return;
+    }
+    if (steps.some(step => !step.newTitle.trim())) {
+        alert("Some documents would get an empty title. Adjust the rename options.");
+        return;
+    }
+    let question = `Rename ${steps.length} document(s)?`;
+    if (plan.conflicts.length > 0) {
+        question += `\n${plan.conflicts.length} group(s) of siblings would share a title.`;
+    }
+    if (!confirm(question)) {
+        return;
+    }
+    try {
+        await enqueueJobs([createJob({
+            kind: "rename",
+            label: `Rename: ${steps.length} document(s)`,
+            steps,
+        })]);
+    } catch (error) {
+        console.error("Error starting rename:", error);
+        alert("Failed to start renaming. Check console for details.");
+    }
+}
+
+/**
+ * Populates the source and destination workspace dropdowns with the connection profiles.
+ */
+async function loadWorkspaces() {
+    const profiles = await getProfiles();
+    const activeProfileId = await getActiveProfileId();
+    ["workspaceSelect", "destinationWorkspace"].forEach(id => {
+        const select = document.getElementById(id);
+        populateDropdown(select, profiles);
+        select.value = activeProfileId || "";
+    });
+}
+
+/**
+ * Exports the selected subtrees to a ZIP of Markdown files and downloads it.
+ */
+async function exportSelection() {
+    const selectedIds = getSelectedDocumentIds();
+    if (selectedIds.length === 0) {
+        alert("Please select at least one document to export.");
+        return;
+    }
+    const status = document.getElementById("exportStatus");
+    const exportBtn = document.getElementById("exportBtn");
+    const collectionId = document.getElementById("collectionSelect").value;
+    exportBtn.disabled = true;
+    try {
+        const api = await getOutlineAPI();
+        const { blob, exported, failed } = await exportSubtrees(api, {
+            nodes: filterTopLevelSelected(documentTreeData, selectedIds),
+            collection: { id: collectionId, name: (collectionsById[collectionId] || {}).name || "" },
+            onProgress: (done, total) => {
+                status.textContent = `Exporting ${done}/${total}…`;
+            },
+        });
+        downloadBlob(`outline-export-${new Date().toISOString().slice(0, 10)}.zip`, blob);
+        status.textContent = failed.length > 0
+            ? `Exported ${exported} document(s); ${failed.length} could not be fetched (see manifest.json).`
+            : `Exported ${exported} document(s).`;
+    } catch (error) {
+        console.error("Error exporting documents:", error);
+        status.textContent = "";
+        alert("Failed to export the documents. Check console for details.");
+    } finally {
+        exportBtn.disabled = false;
+    }
+}
+
+/**
+ * Reads the chosen import files. ZIP archives are unpacked; files picked from a
+ * folder keep their path below that folder.
+ *
+ * @param {FileList} fileList - The chosen files.
+ * @returns {Promise<Array>} Files: { path, text }.
+ */
+async function readImportFiles(fileList) {
+    const decoder = new TextDecoder();
+    const isImported = path => /\.md$/i.test(path) || /(^|\/)manifest\.json$/.test(path);
+    const files = [];
+    for (const file of fileList) {
+        if (/\.zip$/i.test(file.name)) {
+            (await readZip(file))
+                .filter(entry => isImported(entry.path) && !entry.path.startsWith("__MACOSX/"))
+                .forEach(entry => files.push({ path: entry.path, text: decoder.decode(entry.bytes) }));
+        } else {
+            const path = file.webkitRelativePath ? file.webkitRelativePath.split("/").slice(1).join("/") : file.name;
+            if (isImported(path)) {
+                files.push({ path, text: await file.text() });
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * Renders the tree of documents an import will create.
+ *
+ * @param {Array} nodes - The nodes from buildImportTree.
+ * @returns {HTMLElement} The <ul> element.
+ */
+function renderImportNodes(nodes) {
+    const ul = document.createElement("ul");
+    nodes.forEach(node => {
+        const li = document.createElement("li");
+        li.textContent = node.path ? node.title : `${node.title} (folder)`;
+        if (node.children.length > 0) {
+            li.appendChild(renderImportNodes(node.children));
+        }
+        ul.appendChild(li);
+    });
+    return ul;
+}
+
+/**
+ * Loads the chosen files and shows the resulting tree for review.
+ *
+ * @param {FileList} fileList - The chosen files.
+ */
+async function loadImportFiles(fileList) {
+    const container = document.getElementById("importTree");
+    const status = document.getElementById("importStatus");
+    container.innerHTML = "";
+    importTreeData = null;
+    document.getElementById("importBtn").disabled = true;
+    try {
+        const files = await readImportFiles(fileList);
+        const tree = buildImportTree(files);
+        if (tree.length === 0) {
+            status.textContent = "No Markdown files found.";
+            return;
+        }
+        importTreeData = tree;
+        container.appendChild(renderImportNodes(tree));
+        status.textContent = `${files.filter(file => /\.md$/i.test(file.path)).length} Markdown file(s) ready to import.`;
+        document.getElementById("importBtn").disabled = false;
+    } catch (error) {
+        console.error("Error reading import files:", error);
+        status.textContent = `Failed to read the files: ${error.message}`;
+    }
+}
+
+/**
+ * Creates the reviewed import tree under the chosen destination, as a background job.
+ */
+async function importDocuments() {
+    const destination = destinationPicker.getSelection();
+    if (!importTreeData) {
+        return;
+    }
+    if (!destination.collectionId) {
+        alert("Please select a destination collection.");
+        return;
+    }
+    const steps = buildImportSteps(importTreeData, destination);
+    const count = steps.filter(step => step.action === "create").length;
+    if (!confirm(`Create ${count} document(s) in ${destination.path.join(" › ")}?`)) {
+        return;
+    }
+    try {
+        await enqueueJobs([createJob({
+            kind: "import",
+            label: `Import: ${count} document(s) → ${destination.path.join(" › ")}`,
+            steps,
+            profileId: getDestinationProfileId(),
+        })]);
+    } catch (error) {
+        console.error("Error starting import:", error);
+        alert("Failed to start the import. Check console for details.");
+    }
+}
+
+/**
+ * Loads the current structure of the collections recorded in a snapshot.
+ *
+ * @param {Object} snapshot - The snapshot.
+ * @returns {Promise<Array>} Entries: { id, documents }.
+ */
+async function fetchCurrentCollections(snapshot) {
+    const api = await getOutlineAPI(snapshot.profileId);
+    const collections = [];
+    for (const collection of snapshot.collections) {
+        collections.push({ id: collection.id, documents: await api.getCollectionDocuments(collection.id) });
+    }
+    return collections;
+}
+
+/**
+ * Shows how the current structure differs from a snapshot.
+ *
+ * @param {string} snapshotId - The snapshot ID.
+ */
+async function showSnapshotDiff(snapshotId) {
+    const container = document.getElementById("snapshotDiff");
+    container.textContent = "Comparing…";
+    try {
+        const snapshot = await getSnapshot(snapshotId);
+        const diff = diffSnapshot(snapshot, await fetchCurrentCollections(snapshot));
+        const place = location => {
+            const collection = collectionsById[location.collectionId];
+            return [collection ? collection.name : location.collectionId, ...location.path].join(" › ");
+        };
+        const sections = [
+            ["Moved", diff.moved.map(({ before, after }) => `${before.title}: ${place(before)} → ${place(after)}`)],
+            ["Reordered", diff.reordered.map(({ before, after }) => `${before.title}: position ${before.index + 1} → ${after.index + 1}`)],
+            ["Renamed", diff.renamed.map(({ before, after }) => `${before.title} → ${after.title}`)],
+            ["Missing (deleted, archived or moved elsewhere)", diff.missing.map(location => `${location.title} (${place(location)})`)],
+            ["Added", diff.added.map(location => `${location.title} (${place(location)})`)],
+        ].filter(([, lines]) => lines.length > 0);
+
+        container.innerHTML = "";
+        if (sections.length === 0) {
+            container.textContent = "No differences: the collections match the snapshot.";
+            return;
+        }
+        sections.forEach(([title, lines]) => {
+            const details = document.createElement("details");
+            details.open = true;
+            const summary = document.createElement("summary");
+            summary.textContent = `${title} (${lines.length})`;
+            details.appendChild(summary);
+            const ul = document.createElement("ul");
+            lines.forEach(line => {
+                const li = document.createElement("li");
+                li.textContent = line;
+                ul.appendChild(li);
+            });
+            details.appendChild(ul);
+            container.appendChild(details);
+        });
+    } catch (error) {
+        console.error("Error comparing snapshot:", error);
+        container.textContent = `Failed to compare: ${error.message}`;
+    }
+}
+
+/**
+ * Moves documents back to the places recorded in a snapshot, as a background job.
+ *
+ * @param {string} snapshotId - The snapshot ID.
+ */
+async function restoreSnapshot(snapshotId) {
+    try {
+        const snapshot = await getSnapshot(snapshotId);
+        const steps = buildRestoreSteps(snapshot, await fetchCurrentCollections(snapshot));
+        if (steps.length === 0) {
+            alert("Every document that still exists is already where the snapshot recorded it.");
+            return;
+        }
+        if (!confirm(`Move ${steps.length} document(s) back to where they were before "${snapshot.label}"?`)) {
+            return;
+        }
+        await enqueueJobs([createJob({
+            kind: "move",
+            label: `Restore snapshot: ${snapshot.label}`,
+            steps,
+            profileId: snapshot.profileId,
+        })]);
+    } catch (error) {
+        console.error("Error restoring snapshot:", error);
+        alert("Failed to restore the snapshot. Check console for details.");
+    }
+}
+
+/**
+ * Renders the list of snapshots with their actions.
+ */
+async function renderSnapshots() {
+    const list = document.getElementById("snapshotList");
+    const snapshots = await listSnapshots();
+    list.innerHTML = "";
+    if (snapshots.length === 0) {
+        list.textContent = "No snapshots yet. One is taken before every move, undo and bulk action.";
+        return;
+    }
+    const ul = document.createElement("ul");
+    snapshots.forEach(snapshot => {
+        const li = document.createElement("li");
+        const label = document.createElement("span");
+        const textCount = Object.keys(snapshot.texts || {}).length;
+        label.textContent = `${new Date(snapshot.createdAt).toLocaleString()}: ${snapshot.label}`
+            + (textCount > 0 ? ` (with text of ${textCount} document(s))` : "");
+        li.appendChild(label);
+        const actions = {
+            Diff: () => showSnapshotDiff(snapshot.id),
+            Restore: () => restoreSnapshot(snapshot.id),
+            Download: () => downloadBlob(`${snapshot.id}.json`,
+                new Blob([JSON.stringify(snapshot, null, 2)], { type: "application/json" })),
+            Delete: async () => {
+                if (confirm("Delete this snapshot?")) {
+                    await deleteSnapshot(snapshot.id);
+                    await renderSnapshots();
+                }
+            },
+        };
+        Object.entries(actions).forEach(([text, handler]) => {
+            const button = document.createElement("button");
+            button.textContent = text;
+            button.addEventListener("click", handler);
+            li.appendChild(button);
+        });
+        ul.appendChild(li);
+    });
+    list.appendChild(ul);
+}
+
+/**
+ * Renders one checkbox per collection for choosing which collections to scan for links.
+ */
+function renderLinkCheckCollections() {
+    const container = document.getElementById("linkCheckCollections");
+    container.innerHTML = "";
+    Object.values(collectionsById).forEach(collection => {
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.value = collection.id;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${collection.name} `));
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Fills the dropdowns of the collections panel with the loaded collections.
+ */
+function renderCollectionManager() {
+    const collections = Object.values(collectionsById);
+    const editSelect = document.getElementById("collectionEditSelect");
+    const editedId = editSelect.value;
+    populateDropdown(editSelect, [{ id: "", name: "New collection" }, ...collections]);
+    editSelect.value = collectionsById[editedId] ? editedId : "";
+    populateDropdown(document.getElementById("mergeSource"), collections);
+    populateDropdown(document.getElementById("mergeTarget"), collections);
+    showCollectionSettings();
+}
+
+/**
+ * Shows the settings of the collection chosen in the collections panel, or empty
+ * settings for a new collection.
+ */
+function showCollectionSettings() {
+    const collection = collectionsById[document.getElementById("collectionEditSelect").value] || {};
+    document.getElementById("collectionName").value = collection.name || "";
+    document.getElementById("collectionDescription").value = collection.description || "";
+    document.getElementById("collectionIcon").value = collection.icon || "";
+    document.getElementById("collectionColor").value = collection.color || "#4e5c6e";
+    document.getElementById("collectionPermission").value = collection.id ? collection.permission || "" : "read_write";
+    document.getElementById("collectionPrivate").checked = Boolean(collection.private);
+    document.getElementById("saveCollectionBtn").textContent = collection.id ? "Save Changes" : "Create Collection";
+}
+
+/**
+ * Reads the collection settings from the collections panel.
+ *
+ * @returns {Object} { name, description, icon, color, permission, private }.
+ */
+function readCollectionSettings() {
+    return {
+        name: document.getElementById("collectionName").value.trim(),
+        description: document.getElementById("collectionDescription").value,
+        icon: document.getElementById("collectionIcon").value.trim(),
+        color: document.getElementById("collectionColor").value,
+        permission: document.getElementById("collectionPermission").value || null,
+        private: document.getElementById("collectionPrivate").checked,
+    };
+}
+
+/**
+ * Creates a collection or saves the settings of the chosen one, then reloads the collections.
+ */
+async function saveCollection() {
+    const settings = readCollectionSettings();
+    if (!settings.name) {
+        alert("Please enter a collection name.");
+        return;
+    }
+    const editSelect = document.getElementById("collectionEditSelect");
+    try {
+        const api = await getOutlineAPI();
+        const collection = editSelect.value
+            ? await api.updateCollection(editSelect.value, settings)
+            : await api.createCollection(settings);
+        editSelect.value = "";
+        await loadCollections();
+        editSelect.value = collection.id;
+        showCollectionSettings();
+    } catch (error) {
+        console.error("Error saving collection:", error);
+        alert(`Failed to save the collection: ${error.message}`);
+    }
+}
+
+/**
+ * Moves every document of one collection to the root of another, keeping the
+ * hierarchy, and optionally archives the emptied source afterwards.
+ */
+async function mergeCollections() {
+    const source = collectionsById[document.getElementById("mergeSource").value];
+    const target = collectionsById[document.getElementById("mergeTarget").value];
+    if (!source || !target || source.id === target.id) {
+        alert("Please choose two different collections.");
+        return;
+    }
+    const archiveSource = document.getElementById("mergeArchiveSource").checked;
+    try {
+        const api = await getOutlineAPI();
+        const tree = buildTree(flattenApiDocs(await api.getCollectionDocuments(source.id)));
+        if (tree.length === 0 && !archiveSource) {
+            alert(`"${source.name}" is empty.`);
+            return;
+        }
+        const plan = buildMovePlan({
+            tree,
+            nodes: tree,
+            source: { collectionId: source.id, name: source.name },
+            destination: { collectionId: target.id, parentDocumentId: "", path: [target.name], position: { type: "bottom" } },
+        });
+        const afterwards = archiveSource ? ` and archive "${source.name}"` : "";
+        if (!confirm(`Move ${plan.documents.length} document(s) from "${source.name}" into "${target.name}"${afterwards}?`)) {
+            return;
+        }
+        const steps = planToSteps(plan);
+        if (archiveSource) {
+            steps.push(buildArchiveCollectionStep(source));
+        }
+        await enqueueJobs([createJob({ kind: "move", label: `Merge: ${source.name} → ${target.name}`, steps })]);
+    } catch (error) {
+        console.error("Error starting merge:", error);
+        alert("Failed to start the merge. Check console for details.");
+    }
+}
+
+/**
+ * Creates a collection with the settings of the collections panel and moves the
+ * selected subtrees of the source tree into it.
+ */
+async function splitSelection() {
+    if (document.getElementById("collectionEditSelect").value) {
+        alert('Choose "New collection" above and enter the settings of the collection to create.');
+        return;
+    }
+    const settings = readCollectionSettings();
+    const selectedIds = getSelectedDocumentIds();
+    if (!settings.name || selectedIds.length === 0) {
+        alert("Please enter a collection name and select the documents to split out.");
+        return;
+    }
+    const sourceId = document.getElementById("collectionSelect").value;
+    const nodes = filterTopLevelSelected(documentTreeData, selectedIds);
+    if (!confirm(`Create "${settings.name}" and move ${nodes.length} subtree(s) into it?`)) {
+        return;
+    }
+    let api = null;
+    let collection = null;
+    let enqueued = false;
+    try {
+        api = await getOutlineAPI();
+        collection = await api.createCollection(settings);
+        const plan = buildMovePlan({
+            tree: documentTreeData,
+            nodes,
+            source: { collectionId: sourceId, name: (collectionsById[sourceId] || {}).name || "" },
+            destination: { collectionId: collection.id, parentDocumentId: "", path: [collection.name], position: { type: "bottom" } },
+        });
+        await enqueueJobs([createJob({
+            kind: "move",
+            label: `Split: ${plan.source.name} → ${collection.name}`,
+            steps: planToSteps(plan),
+        })]);
+        enqueued = true;
+        await loadCollections();
+    } catch (error) {
+        console.error("Error splitting selection:", error);
+        // Without the move job, the collection created for it is left empty. It is
+        // only deleted while it is, as deleting a collection deletes its documents.
+        if (collection && !enqueued) {
+            try {
+                if ((await api.getCollectionDocuments(collection.id)).length === 0) {
+                    await api.deleteCollection(collection.id);
+                }
+            } catch (deleteError) {
+                console.error(`Error deleting the new collection "${collection.name}":`, deleteError);
+            }
+        }
+        alert(`Failed to split the selection: ${error.message}`);
+    }
+}
+
+/**
+ * Scans the chosen collections for problematic internal links and reports them.
+ */
+async function runLinkCheck() {
+    const collectionIds = [...document.querySelectorAll("#linkCheckCollections input:checked")].map(cb => cb.value);
+    if (collectionIds.length === 0) {
+        alert("Please choose at least one collection to check.");
+        return;
+    }
+    const status = document.getElementById("linkCheckStatus");
+    const checkBtn = document.getElementById("checkLinksBtn");
+    checkBtn.disabled = true;
+    try {
+        const api = await getOutlineAPI();
+        const collections = [];
+        for (const id of collectionIds) {
+            status.textContent = `Loading ${collectionsById[id].name}…`;
+            const docs = await api.getCollectionDocuments(id);
+            collections.push({ id, name: collectionsById[id].name, tree: buildTree(flattenApiDocs(docs)) });
+        }
+        linkIssues = await checkLinks(api, collections, (done, total) => {
+            status.textContent = `Scanning ${done}/${total}…`;
+        });
+        status.textContent = `Found ${linkIssues.length} problematic link(s).`;
+        renderLinkIssues();
+    } catch (error) {
+        console.error("Error checking links:", error);
+        status.textContent = `Failed: ${error.message}`;
+    } finally {
+        checkBtn.disabled = false;
+    }
+}
+
+/**
+ * Renders the link check report, grouped by problem.
+ */
+function renderLinkIssues() {
+    const container = document.getElementById("linkCheckResults");
+    container.innerHTML = "";
+    const groups = [
+        ["broken", "Broken"],
+        ["outdated", "Outdated URL (can be rewritten)"],
+        ["cross-collection", "Pointing to another collection"],
+        ["self", "Pointing to the same document"],
+    ];
+    groups.forEach(([problem, title]) => {
+        const issues = linkIssues.filter(issue => issue.problems.includes(problem));
+        if (issues.length === 0) {
+            return;
+        }
+        const details = document.createElement("details");
+        details.open = problem === "broken";
+        const summary = document.createElement("summary");
+        summary.textContent = `${title} (${issues.length})`;
+        details.appendChild(summary);
+        const ul = document.createElement("ul");
+        issues.forEach(issue => {
+            const li = document.createElement("li");
+            const target = issue.target ? ` → ${issue.target.title}` : "";
+            const canonical = problem === "outdated" ? ` (canonical: ${issue.canonicalHref})` : "";
+            li.textContent = `${issue.source.title}: ${issue.href}${target}${canonical}`;
+            ul.appendChild(li);
+        });
+        details.appendChild(ul);
+        container.appendChild(details);
+    });
+    document.getElementById("rewriteLinksBtn").hidden = !linkIssues.some(issue => issue.canonicalHref);
+}
+
+/**
+ * Rewrites every outdated link found by the last check, as a background job.
+ */
+async function rewriteOutdatedLinks() {
+    const steps = buildLinkRewriteSteps(linkIssues);
+    const linkCount = steps.reduce((sum, step) => sum + Object.keys(step.replacements).length, 0);
+    if (steps.length === 0 || !confirm(`Rewrite ${linkCount} link(s) in ${steps.length} document(s) to their canonical URLs?`)) {
+        return;
+    }
+    try {
+        await enqueueJobs([createJob({
+            kind: "links",
+            label: `Rewrite links: ${steps.length} document(s)`,
+            steps,
+        })]);
+        linkIssues = [];
+        renderLinkIssues();
+        document.getElementById("linkCheckStatus").textContent = "Rewriting links in the background. Check again once the job has finished.";
+    } catch (error) {
+        console.error("Error rewriting links:", error);
+        alert("Failed to start rewriting links. Check console for details.");
+    }
+}
+
+/**
+ * Loads collections and populates the source and destination collection dropdowns.
+ */
+async function loadCollections() {
+    try {
+        const api = await getOutlineAPI();
+        const collections = await api.listCollections();
+        console.debug("[DEBUG] Collections loaded:", collections);
+        collectionsById = {};
+        collections.forEach(collection => {
+            collectionsById[collection.id] = collection;
+        });
+        const collectionSelect = document.getElementById("collectionSelect");
+        const previousCollectionId = collectionSelect.value;
+        populateDropdown(collectionSelect, collections);
+        if (collectionsById[previousCollectionId]) {
+            collectionSelect.value = previousCollectionId;
+        }
+        renderLinkCheckCollections();
+        renderCollectionManager();
+        await loadDestinationCollections();
+        if (collectionSelect.value) {
+            await refreshSourceTree(api);
+        }
+    } catch (error) {
+        console.error("Error loading collections:", error);
+        alert("Failed to load collections. Check console for details.");
+    }
+}
+
+/**
+ * Drops the cached trees of the source and destination workspaces and reloads
+ * the collections and the shown trees from the server.
+ */
+async function reloadFromServer() {
+    try {
+        const profileId = document.getElementById("workspaceSelect").value;
+        await invalidateTreeCache(profileId);
+        if (getDestinationProfileId() !== profileId) {
+            await invalidateTreeCache(getDestinationProfileId());
+        }
+    } catch (error) {
+        console.error("Error clearing the tree cache:", error);
+    }
+    await loadCollections();
+}
+
+/**
+ * Loads the collections of the destination workspace. A destination in another
+ * workspace only allows copying, so the Move option is disabled for it.
+ */
+async function loadDestinationCollections() {
+    const api = await getOutlineAPI(getDestinationProfileId());
+    const collections = await api.listCollections();
+    destinationCollectionsById = {};
+    collections.forEach(collection => {
+        destinationCollectionsById[collection.id] = collection;
+    });
+    populateDropdown(document.getElementById("destinationCollection"), collections);
+    // The previously loaded destination tree may belong to another workspace.
+    destinationTreeData = [];
+    destinationPicker.setTree("", "", destinationTreeData);
+    dragDropController.clear();
+
+    const crossWorkspace = isCrossWorkspace();
+    document.getElementById("modeMove").disabled = crossWorkspace;
+    if (crossWorkspace) {
+        document.getElementById("modeCopy").checked = true;
+        document.getElementById("modeCopy").dispatchEvent(new Event("change"));
+    }
+}
+
+/**
+ * Palette actions. Each either clicks a button, whose handler asks for confirmation
+ * where needed, or opens a panel and focuses the field to fill in first.
+ */
+const PALETTE_ACTIONS = [
+    { label: "Preview move of the selection", buttonId: "moveBtn" },
+    { label: "Select all documents", run: () => setAllSelected(true) },
+    { label: "Clear the selection", run: () => setAllSelected(false) },
+    { label: "Filter the tree…", focusId: "treeFilter" },
+    { label: "Select by rules…", panelId: "rulesPanel" },
+    { label: "Choose a destination folder…", focusId: "destinationSearch" },
+    { label: "Bulk action on the selection…", focusId: "bulkAction" },
+    { label: "Export the selection as Markdown ZIP", buttonId: "exportBtn" },
+    { label: "Wrap the selection in a new parent…", panelId: "restructurePanel", focusId: "wrapTitle" },
+    { label: "Flatten the selected subtrees", buttonId: "flattenBtn" },
+    { label: "Promote the children of the selection", buttonId: "promoteBtn" },
+    { label: "Sort children…", panelId: "sortPanel", focusId: "sortKey" },
+    { label: "Rename the selection…", panelId: "renamePanel", focusId: "renameTemplate" },
+    { label: "Drag and drop…", panelId: "dndPanel" },
+    { label: "Manage collections…", panelId: "collectionsPanel" },
+    { label: "Import Markdown…", panelId: "importPanel" },
+    { label: "Check links…", panelId: "linkCheckPanel" },
+    { label: "Snapshots…", panelId: "snapshotPanel" },
+    { label: "Undo the last operation", buttonId: "undoBtn" },
+    { label: "Reload from server", buttonId: "reloadFromServer" },
+];
+
+/**
+ * Checks or unchecks every document of the source tree, like the Select All checkbox.
+ *
+ * @param {boolean} checked - The new state.
+ */
+function setAllSelected(checked) {
+    const selectAllCheckbox = document.getElementById("selectAllCheckbox");
+    selectAllCheckbox.checked = checked;
+    selectAllCheckbox.dispatchEvent(new Event("change"));
+}
+
+/**
+ * Runs a palette action.
+ *
+ * @param {Object} action - An entry of PALETTE_ACTIONS.
+ */
+async function runPaletteAction(action) {
+    if (action.run) {
+        await action.run();
+        return;
+    }
+    if (action.buttonId) {
+        document.getElementById(action.buttonId).click();
+        return;
+    }
+    if (action.panelId) {
+        document.getElementById(action.panelId).open = true;
+    }
+    const target = document.getElementById(action.focusId || action.panelId);
+    target.scrollIntoView({ block: "nearest" });
+    target.focus();
+}
+
+/**
+ * Makes a destination the chosen one: switches the destination workspace and
+ * collection if needed and selects the parent in the picker.
+ *
+ * @param {Object} entry - { profileId, collectionId, parentDocumentId }.
+ * @returns {Promise<boolean>} False if the collection is not available.
+ */
+async function chooseDestination(entry) {
+    if (entry.profileId && entry.profileId !== getDestinationProfileId()) {
+        document.getElementById("destinationWorkspace").value = entry.profileId;
+        await loadDestinationCollections();
+    }
+    if (!destinationCollectionsById[entry.collectionId]) {
+        alert("That collection is not loaded. Click Reload from Server first.");
+        return false;
+    }
+    document.getElementById("destinationCollection").value = entry.collectionId;
+    await loadDestinationTree(entry.collectionId);
+    destinationPicker.select(entry.parentDocumentId || "");
+    return true;
+}
+
+/**
+ * Chooses a destination and shows the preview of moving the selection there.
+ *
+ * @param {Object} entry - { profileId, collectionId, parentDocumentId }.
+ */
+async function moveSelectionTo(entry) {
+    if (getSelectedDocumentIds().length === 0) {
+        alert("Please select at least one document to move.");
+        return;
+    }
+    if (await chooseDestination(entry)) {
+        document.getElementById("moveBtn").click();
+    }
+}
+
+/**
+ * Builds the destination commands of the palette: the last and recent destinations,
+ * then every collection of the destination workspace and every folder of the
+ * collections whose tree is loaded or cached.
+ *
+ * @returns {Promise<Array>} The commands.
+ */
+async function getDestinationCommands() {
+    const profileId = getDestinationProfileId();
+    const commands = [];
+    const seen = new Set();
+    const add = (entry, label, group) => {
+        const key = `${entry.profileId || profileId}/${entry.collectionId}/${entry.parentDocumentId || ""}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            commands.push({ label, group, run: () => moveSelectionTo(entry) });
+        }
+    };
+
+    const recent = await getRecentDestinations();
+    if (recent.length > 0) {
+        commands.push({
+            label: `Repeat last move: move selection to ${recent[0].label}`,
+            group: "Destination",
+            run: () => moveSelectionTo(recent[0]),
+        });
+    }
+    recent.forEach(entry => add(entry, `Move selection to ${entry.label}`, "Recent"));
+
+    for (const collection of Object.values(destinationCollectionsById)) {
+        const destination = parentDocumentId => ({ profileId, collectionId: collection.id, parentDocumentId });
+        add(destination(""), `Move selection to ${collection.name}`, "Destination");
+        const loaded = collection.id === destinationPicker.getSelection().collectionId && destinationTreeData.length > 0;
+        const cached = loaded ? null : await getCachedTree(profileId, collection.id);
+        const documents = loaded ? destinationTreeData : (cached ? cached.documents : []);
+        const visit = (nodes, path) => nodes.forEach(node => {
+            const nodePath = [...path, node.title || "(Untitled)"];
+            add(destination(node.id), `Move selection to ${nodePath.join(" › ")}`, "Destination");
+            visit(node.children || [], nodePath);
+        });
+        visit(documents, [collection.name]);
+    }
+    return commands;
+}
+
+/**
+ * Gathers the commands of the palette: actions first, then destinations.
+ *
+ * @returns {Promise<Array>} Commands: { label, group, run }.
+ */
+async function getPaletteCommands() {
+    const actions = PALETTE_ACTIONS.map(action => ({
+        label: action.label,
+        group: "Action",
+        run: () => runPaletteAction(action),
+    }));
+    return [...actions, ...await getDestinationCommands()];
+}
+
+/**
+ * Initializes the document mover manager.
+ */
+async function initManager() {
+    try {
+        // "Select All" checkbox logic
+        const selectAllCheckbox = document.getElementById("selectAllCheckbox");
+        selectAllCheckbox.addEventListener("change", (e) => {
+            const isChecked = e.target.checked;
+            const checkboxes = document.querySelectorAll("#documentTree input[type='checkbox']");
+            checkboxes.forEach(cb => {
+                cb.checked = isChecked;
+            });
+        });
+
+        // Keyboard navigation and shift-click range selection in the source tree.
+        const documentTree = document.getElementById("documentTree");
+        documentTree.addEventListener("keydown", handleTreeKeydown);
+        documentTree.addEventListener("click", handleTreeClick);
+
+        // Ctrl/Cmd+K opens the command palette.
+        commandPalette = new CommandPalette({
+            container: document.getElementById("commandPalette"),
+            input: document.getElementById("commandPaletteInput"),
+            list: document.getElementById("commandPaletteList"),
+            getCommands: getPaletteCommands,
+        });
+        document.addEventListener("keydown", (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+                e.preventDefault();
+                if (commandPalette.isOpen()) {
+                    commandPalette.close();
+                } else {
+                    commandPalette.open();
+                }
+            }
+        });
+
+        // When a source collection is chosen, load its document tree.
+        document.getElementById("collectionSelect").addEventListener("change", async (e) => {
+            console.debug("[DEBUG] Source Collection Selected:", e.target.value);
+            chooseSortTarget("");
+            document.getElementById("sortPanel").open = false;
+            await refreshSourceTree(await getOutlineAPI());
+        });
+
+        // Filter the source tree as the user types; full-text search waits a little longer.
+        const scheduleFilter = () => {
+            clearTimeout(filterTimer);
+            const delay = document.getElementById("filterMode").value === "fulltext" ? 500 : 200;
+            filterTimer = setTimeout(applyTreeFilter, delay);
+        };
+        document.getElementById("treeFilter").addEventListener("input", scheduleFilter);
+        document.getElementById("filterMode").addEventListener("change", scheduleFilter);
+
+        document.getElementById("selectMatchesBtn").addEventListener("click", () => {
+            if (!filterMatches) {
+                return;
+            }
+            document.querySelectorAll("#documentTree input[type='checkbox']").forEach(cb => {
+                if (filterMatches.has(cb.dataset.docId)) {
+                    cb.checked = true;
+                }
+            });
+        });
+
+        // Drag-and-drop reorganization between the source and destination trees.
+        const collectionInfo = (selectId, tree, collections) => {
+            const collectionId = document.getElementById(selectId).value;
+            const collection = collections[collectionId];
+            return { tree, collectionId, name: collection ? collection.name : "" };
+        };
+        dragDropController = new DragDropController({
+            sourceContainer: document.getElementById("dndSource"),
+            destinationContainer: document.getElementById("dndDestination"),
+            pendingList: document.getElementById("dndPending"),
+            getSource: () => collectionInfo("collectionSelect", documentTreeData, collectionsById),
+            getDestination: () => collectionInfo("destinationCollection", destinationTreeData, destinationCollectionsById),
+            onApply: async (plan, count) => {
+                if (isCrossWorkspace()) {
+                    alert("Drag and drop only moves documents within one workspace. Use Copy to transfer them to another workspace.");
+                    return;
+                }
+                if (!confirm(`Apply ${count} pending move(s) (${plan.documents.length} document(s))?`)) {
+                    return;
+                }
+                try {
+                    await enqueueJobs([createJob({
+                        kind: "move",
+                        label: `Drag and drop: ${count} move(s) → ${plan.destination.path.join(" › ")}`,
+                        steps: planToSteps(plan),
+                    })]);
+                    dragDropController.clear();
+                } catch (error) {
+                    console.error("Error applying pending moves:", error);
+                    alert("Failed to apply the pending moves. Check console for details.");
+                }
+            },
+        });
+        document.getElementById("dndApplyBtn").addEventListener("click", () => dragDropController.apply());
+        document.getElementById("dndClearBtn").addEventListener("click", () => dragDropController.clear());
+        dragDropController.render();
+
+        // Rule-based selection.
+        document.getElementById("addRuleBtn").addEventListener("click", () => addRuleRow());
+        document.getElementById("selectByRulesBtn").addEventListener("click", selectByRules);
+        document.getElementById("saveRulesBtn").addEventListener("click", async () => {
+            const name = document.getElementById("ruleSetName").value.trim();
+            if (!name) {
+                alert("Please enter a name for the rules.");
+                return;
+            }
+            await saveRuleSet(name, readRuleSet());
+            await renderSavedRuleSets();
+            document.getElementById("savedRuleSets").value = name;
+        });
+        document.getElementById("loadRulesBtn").addEventListener("click", async () => {
+            const name = document.getElementById("savedRuleSets").value;
+            const saved = await getSavedRuleSets();
+            if (saved[name]) {
+                showRuleSet(saved[name]);
+                document.getElementById("ruleSetName").value = name;
+            }
+        });
+        document.getElementById("deleteRulesBtn").addEventListener("click", async () => {
+            const name = document.getElementById("savedRuleSets").value;
+            if (name && confirm(`Delete the saved rules "${name}"?`)) {
+                await deleteRuleSet(name);
+                await renderSavedRuleSets();
+            }
+        });
+        addRuleRow();
+        await renderSavedRuleSets();
+
+        // Switching between active, archived and deleted documents reloads the tree.
+        document.getElementById("sourceView").addEventListener("change", async () => {
+            if (document.getElementById("collectionSelect").value) {
+                await refreshSourceTree(await getOutlineAPI());
+            }
+        });
+
+        populateDropdown(
+            document.getElementById("bulkAction"),
+            Object.entries(BULK_ACTIONS).map(([id, definition]) => ({ id, name: definition.label })),
+        );
+        document.getElementById("bulkActionBtn").addEventListener("click", applyBulkAction);
+
+        populateDropdown(
+            document.getElementById("renameNumbering"),
+            Object.entries(NUMBERING_STYLES).map(([id, style]) => ({ id, name: style.label })),
+        );
+        populateDropdown(
+            document.getElementById("sortKey"),
+            Object.entries(SORT_KEYS).map(([id, key]) => ({ id, name: key.label })),
+        );
+        document.getElementById("sortKey").addEventListener("change", (e) => {
+            document.getElementById("sortPattern").hidden = e.target.value !== "regex";
+        });
+        document.getElementById("sortTopLevelBtn").addEventListener("click", () => chooseSortTarget(""));
+        document.getElementById("sortPreviewBtn").addEventListener("click", previewSort);
+        document.getElementById("sortApplyBtn").addEventListener("click", applySort);
+
+        document.getElementById("wrapBtn").addEventListener("click", wrapSelection);
+        document.getElementById("flattenBtn").addEventListener("click", flattenSelection);
+        document.getElementById("promoteBtn").addEventListener("click", promoteSelection);
+        document.getElementById("renamePreviewBtn").addEventListener("click", previewRename);
+        document.getElementById("renameApplyBtn").addEventListener("click", applyRename);
+        document.getElementById("exportBtn").addEventListener("click", exportSelection);
+
+        ["importFiles", "importFolder"].forEach(id => {
+            document.getElementById(id).addEventListener("change", (e) => loadImportFiles(e.target.files));
+        });
+        document.getElementById("importBtn").addEventListener("click", importDocuments);
+
+        populateDropdown(document.getElementById("collectionPermission"), COLLECTION_PERMISSIONS);
+        document.getElementById("collectionEditSelect").addEventListener("change", showCollectionSettings);
+        document.getElementById("saveCollectionBtn").addEventListener("click", saveCollection);
+        document.getElementById("mergeBtn").addEventListener("click", mergeCollections);
+        document.getElementById("splitBtn").addEventListener("click", splitSelection);
+
+        document.getElementById("checkLinksBtn").addEventListener("click", runLinkCheck);
+        document.getElementById("rewriteLinksBtn").addEventListener("click", rewriteOutdatedLinks);
+
+        // When a destination collection is chosen, load its documents into the destination picker.
+        destinationPicker = new DestinationPicker({
+            container: document.getElementById("destinationPicker"),
+            searchInput: document.getElementById("destinationSearch"),
+            selectionLabel: document.getElementById("destinationSelection"),
+            onChange: updateSiblingOptions,
+        });
+        document.getElementById("destinationCollection").addEventListener("change", async (e) => {
+            await loadDestinationTree(e.target.value);
+        });
+
+        // Choosing a recent destination loads its collection and selects its parent.
+        document.getElementById("recentDestinations").addEventListener("change", async (e) => {
+            const entry = (await getRecentDestinations())[Number(e.target.value)];
+            e.target.value = "";
+            if (entry) {
+                await chooseDestination(entry);
+            }
+        });
+        await renderRecentDestinations();
+
+        document.getElementById("destinationPosition").addEventListener("change", updateSiblingOptions);
+
+        // Switching between move and copy only changes the wording; the plan is the same.
+        document.querySelectorAll("input[name='operationMode']").forEach(radio => {
+            radio.addEventListener("change", () => {
+                const verb = getOperationMode() === "copy" ? "Copy" : "Move";
+                document.getElementById("moveBtn").textContent = `${verb} Selected Documents`;
+            });
+        });
+
+        // When the user clicks the Move button, compute the plan and show a dry-run preview.
+        document.getElementById("moveBtn").addEventListener("click", () => {
+            const mode = isCrossWorkspace() ? "transfer" : getOperationMode();
+            const selectedIds = getSelectedDocumentIds();
+            if (selectedIds.length === 0) {
+                alert(`Please select at least one document to ${mode}.`);
+                return;
+            }
+            const topLevelSelected = filterTopLevelSelected(documentTreeData, selectedIds);
+            const sourceSelect = document.getElementById("collectionSelect");
+            const destination = destinationPicker.getSelection();
+
+            if (!destination.collectionId) {
+                alert("Please select a destination collection.");
+                return;
+            }
+            // The API would reject these moves partway through the job.
+            const parentId = destination.parentDocumentId;
+            if (mode === "move" && parentId && destination.collectionId === sourceSelect.value
+                && topLevelSelected.some(node => node.id === parentId || findNode(node.children || [], parentId))) {
+                alert("A document cannot be moved into itself. Choose a destination outside the selected documents.");
+                return;
+            }
+
+            const plan = buildMovePlan({
+                tree: documentTreeData,
+                nodes: topLevelSelected,
+                source: {
+                    collectionId: sourceSelect.value,
+                    name: (collectionsById[sourceSelect.value] || {}).name || getSelectedLabel(sourceSelect),
+                },
+                destination: {
+                    ...destination,
+                    profileId: getDestinationProfileId(),
+                    position: getDestinationPosition(),
+                },
+                mode,
+            });
+            console.debug("[DEBUG] Move plan:", plan);
+            pendingMove = { plan };
+            showMovePreview(plan);
+        });
+
+        // Confirming the preview performs the planned move or copy.
+        document.getElementById("confirmMoveBtn").addEventListener("click", async () => {
+            if (!pendingMove) {
+                return;
+            }
+            const { plan } = pendingMove;
+            hideMovePreview();
+            await addRecentDestination({
+                profileId: plan.destination.profileId,
+                collectionId: plan.destination.collectionId,
+                parentDocumentId: plan.destination.parentDocumentId,
+                label: plan.destination.path.join(" › "),
+            });
+            await renderRecentDestinations();
+            // The job runs in the background worker so closing the popup does not interrupt it.
+            try {
+                const prefix = { move: "", copy: "Copy: ", transfer: "Transfer: " }[plan.mode];
+                await enqueueJobs([createJob({
+                    kind: plan.mode,
+                    label: `${prefix}${plan.source.name} → ${plan.destination.path.join(" › ")}`,
+                    steps: planToSteps(plan),
+                    targetProfileId: plan.mode === "transfer" ? plan.destination.profileId : null,
+                })]);
+            } catch (error) {
+                console.error(`Error starting ${plan.mode}:`, error);
+                alert(`Failed to start the ${plan.mode}. Check console for details.`);
+            }
+        });
+
+        document.getElementById("cancelMoveBtn").addEventListener("click", hideMovePreview);
+
+        document.getElementById("exportPlanBtn").addEventListener("click", () => {
+            if (!pendingMove) {
+                return;
+            }
+            const json = JSON.stringify(pendingMove.plan, null, 2);
+            downloadBlob(`move-plan-${Date.now()}.json`, new Blob([json], { type: "application/json" }));
+        });
+
+        // Undo the most recent operation that has not been reverted yet.
+        document.getElementById("undoBtn").addEventListener("click", async () => {
+            const journal = await getJournal();
+            const last = journal.find(op => !op.revertedAt);
+            if (last) {
+                await revertUpTo(last.id);
+            }
+        });
+        await renderHistory();
+
+        // Snapshots taken before destructive jobs.
+        const snapshotTextCheckbox = document.getElementById("snapshotIncludeText");
+        snapshotTextCheckbox.checked = Boolean((await get(SNAPSHOT_TEXT_KEY))[SNAPSHOT_TEXT_KEY]);
+        snapshotTextCheckbox.addEventListener("change", async (e) => {
+            await set({ [SNAPSHOT_TEXT_KEY]: e.target.checked });
+        });
+        await renderSnapshots();
+
+        // Reattach to jobs that are running in the background.
+        const jobs = await getJobs();
+        jobs.forEach(job => {
+            knownJobStatuses[job.id] = job.status;
+        });
+        renderProgress(jobs);
+        const lastFinished = jobs.filter(job => !isPending(job)).pop();
+        if (lastFinished) {
+            renderJobReport(lastFinished);
+        }
+        watchJobs(onJobsChanged);
+        // Keep elapsed time and ETA ticking between job updates.
+        setInterval(async () => renderProgress(await getJobs()), 1000);
+
+        document.getElementById("retryFailedBtn").addEventListener("click", async () => {
+            const retryJob = reportedJob && createRetryJob(reportedJob);
+            if (!retryJob) {
+                return;
+            }
+            try {
+                await enqueueJobs([retryJob]);
+            } catch (error) {
+                console.error("Error retrying failed documents:", error);
+                alert("Failed to retry. Check console for details.");
+            }
+        });
+
+        // Switching the workspace reconnects with another profile and reloads everything.
+        document.getElementById("workspaceSelect").addEventListener("change", async (e) => {
+            await setActiveProfileId(e.target.value);
+            document.getElementById("destinationWorkspace").value = e.target.value;
+            documentTreeData = [];
+            sourceMetadataById = null;
+            fullTextCache = null;
+            renderDocumentTree(documentTreeData, document.getElementById("documentTree"));
+            await loadCollections();
+        });
+        document.getElementById("destinationWorkspace").addEventListener("change", async () => {
+            try {
+                await loadDestinationCollections();
+            } catch (error) {
+                console.error("Error loading destination workspace:", error);
+                alert("Failed to load the destination workspace. Check console for details.");
+            }
+        });
+
+        await loadWorkspaces();
+
+        // Collection trees come from the cache; this button forces a fresh load.
+        document.getElementById("reloadFromServer").addEventListener("click", reloadFromServer);
+        if (document.getElementById("workspaceSelect").value) {
+            await loadCollections();
+        }
 
     } catch (error) {
         console.error("Error initializing Document Mover:", error);
@@ -0,0 +1,121 @@
+// markdownExport.js
+// Exports document subtrees to a ZIP of Markdown files. Folders mirror the tree:
+// a document is written as "Title.md" and its children go into "Title/".
+
+import { createZip } from './zipArchive.js';
+
+/**
+ * Turns a document title into a safe file name.
+ *
+ * @param {string} title - The document title.
+ * @returns {string} The file name without extension.
+ */
+function toFileName(title) {
+    const name = (title || "Untitled")
+        .replace(/[\\/:*?"<>|\x00-\x1F]/g, "-")
+        .replace(/\s+/g, " ")
+        .replace(/^[.\s]+|[.\s]+$/g, "")
+        .slice(0, 100);
+    return name || "Untitled";
+}
+
+/**
+ * Returns a name not used yet among siblings (case-insensitively).
+ *
+ * @param {string} name - The preferred name.
+ * @param {Set} used - Lowercased names already taken; the result is added to it.
+ * @returns {string} The unique name.
+ */
+function uniqueName(name, used) {
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${name} (${n})`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Builds a YAML front-matter block. Values are written as JSON strings, which is valid YAML.
+ *
+ * @param {Object} fields - The fields.
+ * @returns {string} The front-matter, including the closing delimiter and a blank line.
+ */
+function buildFrontMatter(fields) {
+    const lines = Object.entries(fields).map(([key, value]) => `${key}: ${JSON.stringify(value ?? "")}`);
+    return `---\n${lines.join("\n")}\n---\n\n`;
+}
+
+/**
+ * Exports subtrees to a ZIP archive of Markdown files with a manifest.json.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} options - Export options.
+ * @param {Array} options.nodes - The top-level nodes to export; their whole subtrees are included.
+ * @param {Object} options.collection - The source collection: { id, name }.
+ * @param {Function} [options.onProgress] - Called with (done, total) after each document.
+ * @returns {Promise<Object>} { blob, exported, failed } where failed lists { id, title, message }.
+ */
+export async function exportSubtrees(api, { nodes, collection, onProgress = () => {} }) {
+    const files = [];
+    const documents = [];
+    const failed = [];
+    const countNodes = list => list.reduce((sum, node) => sum + 1 + countNodes(node.children || []), 0);
+    const total = countNodes(nodes);
+    let done = 0;
+
+    const exportNodes = async (list, folder) => {
+        const used = new Set();
+        for (const node of list) {
+            const name = uniqueName(toFileName(node.title), used);
+            const path = `${folder}${name}.md`;
+            let doc = null;
+            let error = null;
+            try {
+                doc = await api.getDocument(node.id);
+            } catch (fetchError) {
+                // One unreadable document does not abort the export of the others.
+                error = fetchError;
+            }
+            if (doc) {
+                const url = doc.url ? `${api.baseUrl}${doc.url}` : "";
+                const frontMatter = buildFrontMatter({
+                    id: doc.id,
+                    title: doc.title,
+                    collection: collection.name,
+                    parent: doc.parentDocumentId || "",
+                    createdAt: doc.createdAt,
+                    updatedAt: doc.updatedAt,
+                    url,
+                });
+                files.push({ path, content: frontMatter + (doc.text || "") });
+                documents.push({
+                    id: doc.id,
+                    title: doc.title,
+                    path,
+                    parentDocumentId: doc.parentDocumentId || "",
+                    createdAt: doc.createdAt,
+                    updatedAt: doc.updatedAt,
+                    url,
+                });
+            } else {
+                failed.push({ id: node.id, title: node.title, message: error ? error.message : "Document could not be fetched" });
+            }
+            onProgress(++done, total);
+            if (node.children && node.children.length > 0) {
+                await exportNodes(node.children, `${folder}${name}/`);
+            }
+        }
+    };
+    await exportNodes(nodes, "");
+
+    const manifest = {
+        exportedAt: new Date().toISOString(),
+        outlineUrl: api.baseUrl,
+        collection,
+        documents,
+        failed,
+    };
+    files.push({ path: "manifest.json", content: JSON.stringify(manifest, null, 2) });
+    return { blob: createZip(files), exported: documents.length, failed };
+}
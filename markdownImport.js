@@ -0,0 +1,260 @@
+// markdownImport.js
+// Import of Markdown files (from a ZIP or a folder) as a document hierarchy.
+// Folders become parent documents: "Title.md" next to a "Title/" folder is the
+// parent of the files in that folder, the layout written by markdownExport.js.
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const MARKDOWN_LINK_PATTERN = /(\[[^\]]*\]\()([^)\s]+)((?:\s+"[^"]*")?\))/g;
+
+/**
+ * Splits a Markdown file into its front-matter fields and its body. Only simple
+ * "key: value" lines are read; quoted values are unquoted.
+ *
+ * @param {string} text - The file content.
+ * @returns {Object} { fields, body }.
+ */
+export function parseFrontMatter(text) {
+    const match = text.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return { fields: {}, body: text };
+    }
+    const fields = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(":");
+        if (separator <= 0) {
+            return;
+        }
+        const key = line.slice(0, separator).trim();
+        let value = line.slice(separator + 1).trim();
+        if (value.startsWith("\"")) {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                value = value.slice(1, -1);
+            }
+        } else if (value.startsWith("'") && value.endsWith("'")) {
+            value = value.slice(1, -1).replace(/''/g, "'");
+        }
+        fields[key] = value;
+    });
+    return { fields, body: text.slice(match[0].length).replace(/^\r?\n/, "") };
+}
+
+/**
+ * Resolves a path relative to the folder of a file.
+ *
+ * @param {string} fromPath - The path of the file containing the link.
+ * @param {string} target - The relative link target.
+ * @returns {string} The normalized path.
+ */
+function resolvePath(fromPath, target) {
+    const segments = fromPath.split("/").slice(0, -1);
+    target.split("/").forEach(segment => {
+        if (segment === "..") {
+            segments.pop();
+        } else if (segment && segment !== ".") {
+            segments.push(segment);
+        }
+    });
+    return segments.join("/");
+}
+
+/**
+ * Returns the imported file a link points to, if it is a relative link to a Markdown file.
+ *
+ * @param {string} fromPath - The path of the file containing the link.
+ * @param {string} href - The link target.
+ * @returns {string|null} The resolved path, or null for other links.
+ */
+function resolveMarkdownLink(fromPath, href) {
+    if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(href)) {
+        return null;
+    }
+    const target = href.split("#")[0];
+    if (!/\.md$/i.test(target)) {
+        return null;
+    }
+    try {
+        return resolvePath(fromPath, decodeURIComponent(target));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Rewrites relative links between imported files into Outline document links.
+ *
+ * @param {string} text - The Markdown text.
+ * @param {string} fromPath - The path of the file the text comes from.
+ * @param {Function} getUrl - Returns the Outline URL for an imported path, or null if unknown.
+ * @returns {string} The rewritten text.
+ */
+export function rewriteRelativeLinks(text, fromPath, getUrl) {
+    return text.replace(MARKDOWN_LINK_PATTERN, (link, open, href, close) => {
+        const path = resolveMarkdownLink(fromPath, href);
+        const url = path && getUrl(path);
+        if (!url) {
+            return link;
+        }
+        const anchor = href.includes("#") ? href.slice(href.indexOf("#")) : "";
+        return `${open}${url}${anchor}${close}`;
+    });
+}
+
+/**
+ * Returns whether a text links to any of the imported files.
+ *
+ * @param {string} text - The Markdown text.
+ * @param {string} fromPath - The path of the file the text comes from.
+ * @param {Set} paths - The paths of the imported files.
+ * @returns {boolean} True if at least one link has to be rewritten.
+ */
+function hasRelativeLinks(text, fromPath, paths) {
+    return [...text.matchAll(MARKDOWN_LINK_PATTERN)].some(match => paths.has(resolveMarkdownLink(fromPath, match[2])));
+}
+
+/**
+ * Builds the document tree of a set of Markdown files. Folders without a matching
+ * Markdown file become empty parent documents named after the folder. Siblings are
+ * ordered as listed in an exported manifest.json when there is one, otherwise by name.
+ *
+ * @param {Array} files - Files: { path, text }. Files other than .md are ignored.
+ * @returns {Array} The tree: nodes { id, title, path, text, children }, where id is
+ *   the path without extension and path is null for folder-only nodes.
+ */
+export function buildImportTree(files) {
+    const manifestFile = files.find(file => /(^|\/)manifest\.json$/.test(file.path));
+    const order = {};
+    if (manifestFile) {
+        try {
+            const prefix = manifestFile.path.slice(0, -"manifest.json".length);
+            JSON.parse(manifestFile.text).documents.forEach((doc, i) => {
+                order[`${prefix}${doc.path}`] = i;
+            });
+        } catch (error) {
+            console.warn("Ignoring unreadable manifest.json:", error);
+        }
+    }
+
+    const nodesById = {};
+    const roots = [];
+    const ensureNode = (id) => {
+        if (nodesById[id]) {
+            return nodesById[id];
+        }
+        const node = { id, title: id.split("/").pop(), path: null, text: "", children: [] };
+        nodesById[id] = node;
+        const parentId = id.includes("/") ? id.slice(0, id.lastIndexOf("/")) : null;
+        (parentId ? ensureNode(parentId).children : roots).push(node);
+        return node;
+    };
+
+    files.filter(file => /\.md$/i.test(file.path)).forEach(file => {
+        const { fields, body } = parseFrontMatter(file.text);
+        const node = ensureNode(file.path.replace(/\.md$/i, ""));
+        node.path = file.path;
+        node.title = fields.title || node.title;
+        node.text = body;
+    });
+
+    const sortKey = node => order[node.path] ?? Number.MAX_SAFE_INTEGER;
+    const sort = (nodes) => {
+        nodes.sort((a, b) => sortKey(a) - sortKey(b) || a.id.localeCompare(b.id, undefined, { numeric: true }));
+        nodes.forEach(node => sort(node.children));
+    };
+    sort(roots);
+    return roots;
+}
+
+/**
+ * Builds the steps of an import job: one step per document, parents first, then
+ * one step per document whose relative links have to be rewritten once every
+ * document exists.
+ *
+ * @param {Array} tree - The tree from buildImportTree.
+ * @param {Object} destination - { collectionId, parentDocumentId }.
+ * @returns {Array} The job steps.
+ */
+export function buildImportSteps(tree, destination) {
+    const steps = [];
+    const linkSteps = [];
+    const paths = new Set();
+    const collectPaths = nodes => nodes.forEach(node => {
+        if (node.path) {
+            paths.add(node.path);
+        }
+        collectPaths(node.children);
+    });
+    collectPaths(tree);
+
+    const visit = (nodes, depth, parentId) => nodes.forEach(node => {
+        steps.push({
+            documentId: node.id,
+            title: node.title,
+            depth,
+            to: { collectionId: destination.collectionId, parentDocumentId: destination.parentDocumentId || "" },
+            dependsOn: parentId,
+            action: "create",
+            text: node.text,
+        });
+        if (node.path && hasRelativeLinks(node.text, node.path, paths)) {
+            linkSteps.push({
+                documentId: `links:${node.id}`,
+                title: `Links in ${node.title}`,
+                depth,
+                dependsOn: node.id,
+                action: "rewriteLinks",
+                sourcePath: node.path,
+            });
+        }
+        visit(node.children, depth + 1, node.id);
+    });
+    visit(tree, 0, null);
+    // Links can only be rewritten once every document exists.
+    if (linkSteps.length > 0) {
+        linkSteps[0].barrier = true;
+    }
+    return [...steps, ...linkSteps];
+}
+
+/**
+ * Executes a single import step. Created documents are registered in the job's
+ * idMap by their import ID, which later steps use to find parents and link targets.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} job - The job (its idMap is read).
+ * @param {Object} step - The step.
+ * @returns {Promise<string|null>} The ID of the created document, if any.
+ */
+export async function executeImportStep(api, job, step) {
+    if (step.action === "rewriteLinks") {
+        const documentId = job.idMap[step.dependsOn];
+        const doc = await api.getDocument(documentId);
+        if (!doc) {
+            throw new Error("Imported document not found");
+        }
+        // Link targets are looked up by import ID, the path without its extension.
+        const targets = {};
+        for (const match of doc.text.matchAll(MARKDOWN_LINK_PATTERN)) {
+            const path = resolveMarkdownLink(step.sourcePath, match[2]);
+            const targetId = path && job.idMap[path.replace(/\.md$/i, "")];
+            if (targetId && !(path in targets)) {
+                const target = await api.getDocument(targetId);
+                targets[path] = target ? target.url : null;
+            }
+        }
+        const text = rewriteRelativeLinks(doc.text, step.sourcePath, path => targets[path] || null);
+        if (text !== doc.text) {
+            await api.updateDocument(documentId, { text });
+        }
+        return null;
+    }
+
+    const doc = await api.createDocument({
+        title: step.title,
+        text: step.text,
+        collectionId: step.to.collectionId,
+        parentDocumentId: step.dependsOn ? job.idMap[step.dependsOn] : step.to.parentDocumentId,
+    });
+    return doc.id;
+}
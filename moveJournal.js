@@ -0,0 +1,141 @@
+// moveJournal.js
+// Persistent journal of bulk move operations, used to undo completed moves.
+
+import { get, set } from './storageManager.js';
+
+const JOURNAL_KEY = "moveJournal";
+const MAX_OPERATIONS = 50;
+
+/**
+ * Retrieves every journaled operation, newest first.
+ *
+ * @returns {Promise<Array>} The journaled operations.
+ */
+export async function getJournal() {
+    const result = await get(JOURNAL_KEY, false);
+    return result[JOURNAL_KEY] || [];
+}
+
+/**
+ * Persists the journal, keeping only the most recent operations.
+ *
+ * @param {Array} journal - The operations, newest first.
+ * @returns {Promise<void>}
+ */
+async function saveJournal(journal) {
+    await set({ [JOURNAL_KEY]: journal.slice(0, MAX_OPERATIONS) }, false);
+}
+
+/**
+ * Starts a new journaled operation.
+ *
+ * @param {string} label - A human readable description of the operation.
+ * @param {string|null} [profileId=null] - The workspace the moves happen in.
+ * @returns {Promise<Object>} The created operation.
+ */
+export async function startOperation(label, profileId = null) {
+    const operation = {
+        id: `op-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        label,
+        profileId,
+        createdAt: new Date().toISOString(),
+        moves: [],
+        revertedAt: null,
+    };
+    const journal = await getJournal();
+    await saveJournal([operation, ...journal]);
+    return operation;
+}
+
+/**
+ * Records a completed document move in an operation.
+ *
+ * @param {string} operationId - The operation the move belongs to.
+ * @param {Object} move - The move: { documentId, title, depth, planIndex, from, to, created },
+ *   where planIndex is the position of the move in its job (moves finish, and are recorded,
+ *   in any order) and created marks a document the operation created.
+ * @returns {Promise<void>}
+ */
+export async function recordMove(operationId, move) {
+    const journal = await getJournal();
+    const operation = journal.find(op => op.id === operationId);
+    if (!operation) {
+        throw new Error(`Unknown journal operation: ${operationId}`);
+    }
+    operation.moves.push({ ...move, movedAt: new Date().toISOString() });
+    await saveJournal(journal);
+}
+
+/**
+ * Returns the operations that would have to be reverted, newest first, in order to
+ * revert the given operation. Later operations are always undone before earlier ones.
+ *
+ * @param {Array} journal - The journal, newest first.
+ * @param {string} operationId - The operation to revert.
+ * @returns {Array} The operations to revert, in the order they must be reverted.
+ */
+export function getOperationsToRevert(journal, operationId) {
+    const index = journal.findIndex(op => op.id === operationId);
+    if (index === -1) {
+        return [];
+    }
+    return journal.slice(0, index + 1).filter(op => !op.revertedAt);
+}
+
+/**
+ * Builds the job steps that revert a single operation by moving every document back
+ * to its original collection, parent and position. Moves are replayed in the
+ * order of the job that made them (not the order they finished in), so that a
+ * parent is back in place before its children are re-attached to it. Documents
+ * the operation created (the new parent of a wrap) are deleted last, once
+ * everything has been moved out of them.
+ *
+ * @param {Object} operation - The operation to revert.
+ * @returns {Array} The revert steps.
+ */
+export function buildRevertSteps(operation) {
+    // Moves journaled before planIndex was recorded keep the order they were recorded in.
+    const moves = operation.moves
+        .map((move, recorded) => ({ move, order: move.planIndex ?? recorded }))
+        .sort((a, b) => a.order - b.order)
+        .map(entry => entry.move);
+    const steps = moves.map(move => ({
+        documentId: move.documentId,
+        title: move.title,
+        depth: move.depth,
+        from: move.to,
+        to: move.from,
+        verifyParent: true,
+    }));
+    const deleteSteps = moves.filter(move => move.created).map(move => ({
+        documentId: `delete:${move.documentId}`,
+        title: `Delete created ${move.title}`,
+        depth: 0,
+        collectionId: move.to.collectionId,
+        folderId: move.documentId,
+        dependsOn: null,
+        action: "deleteIfEmpty",
+    }));
+    // Created documents are only deleted once every other step has finished.
+    if (deleteSteps.length > 0) {
+        deleteSteps[0].barrier = true;
+    }
+    return [...steps, ...deleteSteps];
+}
+
+/**
+ * Marks an operation as reverted and stores the per-document revert results.
+ *
+ * @param {string} operationId - The reverted operation.
+ * @param {Array} results - Per-document results: { documentId, title, status, message }.
+ * @returns {Promise<void>}
+ */
+export async function markReverted(operationId, results) {
+    const journal = await getJournal();
+    const operation = journal.find(op => op.id === operationId);
+    if (operation) {
+        operation.revertedAt = new Date().toISOString();
+        operation.revertResults = results;
+        await saveJournal(journal);
+    }
+}
@@ -0,0 +1,142 @@
+// movePlanner.js
+// Computes the full plan of a bulk move without sending anything to Outline,
+// so it can be previewed, confirmed or exported first.
+
+/**
+ * Finds the chain of ancestors leading to a document in a tree.
+ *
+ * @param {Array} tree - The tree structure of documents.
+ * @param {string} documentId - The document to look for.
+ * @returns {Array|null} Ancestor nodes from the root down to the direct parent, or null if not found.
+ */
+export function findAncestors(tree, documentId) {
+    for (const node of tree) {
+        if (node.id === documentId) {
+            return [];
+        }
+        if (node.children && node.children.length > 0) {
+            const found = findAncestors(node.children, documentId);
+            if (found) {
+                return [node, ...found];
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds a node by ID in a tree.
+ *
+ * @param {Array} tree - The tree structure of documents.
+ * @param {string} documentId - The document to look for.
+ * @returns {Object|null} The node, or null if not found.
+ */
+export function findNode(tree, documentId) {
+    for (const node of tree) {
+        if (node.id === documentId) {
+            return node;
+        }
+        const found = findNode(node.children || [], documentId);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Computes the destination index of the n-th moved top-level document. The moves
+ * run in block order and each index counts the siblings left once the document is
+ * taken out. When reordering within one parent, block documents that sat before
+ * the chosen sibling have left their place by then: with siblings A, B, C, D,
+ * moving A after C gives index 2, so the result is B, C, A, D.
+ *
+ * @param {Object} [position] - { type: "top" | "bottom" | "after" | "index", siblingIndex, index }.
+ * @param {number} n - The position of the document within the moved block.
+ * @param {number} [movedBefore=0] - How many of the first n + 1 block documents sit
+ *   in the destination parent at or before the chosen sibling.
+ * @returns {number|undefined} The index, or undefined to append at the bottom.
+ */
+function getBlockIndex(position, n, movedBefore = 0) {
+    if (!position || position.type === "bottom") {
+        return undefined;
+    }
+    if (position.type === "after") {
+        return position.siblingIndex + 1 + n - movedBefore;
+    }
+    if (position.type === "index") {
+        return position.index + n;
+    }
+    return n;
+}
+
+/**
+ * Builds the plan for moving the given top-level nodes and all of their descendants.
+ * Every entry records where a document currently lives and where it will end up.
+ * Children keep their original sibling order; the moved block itself is placed at
+ * the top, the bottom, or after a chosen sibling of the destination.
+ *
+ * @param {Object} options - Plan options.
+ * @param {Array} options.tree - The source tree (used to resolve current parents).
+ * @param {Array} options.nodes - The top-level selected nodes.
+ * @param {Object} options.source - The source collection: { collectionId, name }.
+ * @param {Object} options.destination - The destination: { collectionId, parentDocumentId, path, position }.
+ * @param {string} [options.mode="move"] - "move", or "copy" to duplicate the documents instead.
+ * @returns {Object} The move plan.
+ */
+export function buildMovePlan({ tree, nodes, source, destination, mode = "move" }) {
+    const documents = [];
+
+    const addEntry = (node, depth, fromParentId, fromIndex, fromPath, toParentId, toIndex, toPath) => {
+        documents.push({
+            id: node.id,
+            title: node.title || "(Untitled)",
+            depth,
+            from: { collectionId: source.collectionId, parentDocumentId: fromParentId, index: fromIndex, path: fromPath },
+            to: { collectionId: destination.collectionId, parentDocumentId: toParentId, index: toIndex, path: toPath },
+        });
+        (node.children || []).forEach((child, childIndex) => {
+            const childFromPath = [...fromPath, node.title || "(Untitled)"];
+            const childToPath = [...toPath, node.title || "(Untitled)"];
+            addEntry(child, depth + 1, node.id, childIndex, childFromPath, node.id, childIndex, childToPath);
+        });
+    };
+
+    const toParentId = destination.parentDocumentId || "";
+    const sameCollection = source.collectionId === destination.collectionId;
+    const position = destination.position;
+    let movedBefore = 0;
+    nodes.forEach((node, n) => {
+        const ancestors = findAncestors(tree, node.id) || [];
+        const parent = ancestors[ancestors.length - 1];
+        const siblings = parent ? parent.children : tree;
+        const fromParentId = parent ? parent.id : "";
+        const fromIndex = siblings.indexOf(node);
+        const fromPath = [source.name, ...ancestors.map(a => a.title || "(Untitled)")];
+        if (sameCollection && fromParentId === toParentId && position && position.type === "after"
+            && fromIndex <= position.siblingIndex) {
+            movedBefore++;
+        }
+        addEntry(node, 0, fromParentId, fromIndex, fromPath,
+            toParentId, getBlockIndex(position, n, movedBefore), destination.path);
+    });
+
+    return {
+        createdAt: new Date().toISOString(),
+        mode,
+        source,
+        destination,
+        documents,
+    };
+}
+
+/**
+ * Returns the plan entries that are direct children of the given entry.
+ *
+ * @param {Object} plan - The move plan.
+ * @param {Object} entry - A plan entry.
+ * @returns {Array} The child entries, in plan order.
+ */
+export function getChildEntries(plan, entry) {
+    return plan.documents.filter(doc => doc.depth === entry.depth + 1 && doc.from.parentDocumentId === entry.id);
+}
@@ -1,10 +1,14 @@
 // options.js
-import { getSettings, set as saveToStorage } from './storageManager.js';
+import { get, set, getProfiles, saveProfiles, getActiveProfileId, setActiveProfileId, REQUEST_CONCURRENCY_KEY } from './storageManager.js';
+import { DEFAULT_CONCURRENCY } from './config.js';
 
 document.addEventListener("DOMContentLoaded", () => {
     class OptionsController {
         constructor() {
             // Cache DOM elements.
+            this.profileSelect = document.getElementById("profileSelect");
+            this.profileNameInput = document.getElementById("profileName");
+            this.concurrencyInput = document.getElementById("requestConcurrency");
             this.outlineUrlInput = document.getElementById("outlineUrl");
             this.apiTokenInput = document.getElementById("apiToken");
             this.toggleBtn = document.getElementById("toggleToken");
@@ -15,11 +19,19 @@ document.addEventListener("DOMContentLoaded", () => {
             this.toggleTokenVisibility = this.toggleTokenVisibility.bind(this);
             this.saveSettings = this.saveSettings.bind(this);
             this.checkConnection = this.checkConnection.bind(this);
+            this.newProfile = this.newProfile.bind(this);
+            this.deleteProfile = this.deleteProfile.bind(this);
+
+            this.profiles = [];
 
             // Attach listeners.
             this.toggleBtn.addEventListener("click", this.toggleTokenVisibility);
             this.settingsForm.addEventListener("submit", this.saveSettings);
             document.getElementById("checkConnection").addEventListener("click", this.checkConnection);
+            document.getElementById("newProfile").addEventListener("click", this.newProfile);
+            document.getElementById("deleteProfile").addEventListener("click", this.deleteProfile);
+            this.profileSelect.addEventListener("change", () => this.showProfile(this.profileSelect.value));
+            this.concurrencyInput.addEventListener("change", () => this.saveConcurrency());
 
             // Initialize settings.
             this.loadSettings();
@@ -35,23 +47,102 @@ document.addEventListener("DOMContentLoaded", () => {
         }
 
         loadSettings() {
-            getSettings()
+            Promise.all([getProfiles(), getActiveProfileId()])
+                .then(([profiles, activeProfileId]) => {
+                    this.profiles = profiles;
+                    this.renderProfiles(activeProfileId);
+                })
+                .catch((err) => {
+                    console.error("Error loading settings:", err);
+                });
+            get(REQUEST_CONCURRENCY_KEY)
                 .then((result) => {
-                    if (result.outlineUrl) {
-                        this.outlineUrlInput.value = result.outlineUrl;
-                    }
-                    if (result.apiToken) {
-                        this.apiTokenInput.dataset.fullToken = result.apiToken;
-                        this.apiTokenInput.value = this.maskToken(result.apiToken);
-                        this.apiTokenInput.readOnly = true;
-                        this.toggleBtn.textContent = "Show";
-                    }
+                    this.concurrencyInput.value = result[REQUEST_CONCURRENCY_KEY] || DEFAULT_CONCURRENCY;
                 })
                 .catch((err) => {
                     console.error("Error loading settings:", err);
                 });
         }
 
+        /**
+         * Saves how many API requests run in parallel, clamped to 1–8.
+         */
+        saveConcurrency() {
+            const concurrency = Math.min(8, Math.max(1, parseInt(this.concurrencyInput.value, 10) || DEFAULT_CONCURRENCY));
+            this.concurrencyInput.value = concurrency;
+            set({ [REQUEST_CONCURRENCY_KEY]: concurrency })
+                .catch((err) => {
+                    console.error("Error saving settings:", err);
+                    alert("Error saving settings.");
+                });
+        }
+
+        /**
+         * Fills the profile dropdown and shows the given profile (a new one if there are none).
+         * @param {string|null} profileId - The profile to show.
+         */
+        renderProfiles(profileId) {
+            this.profileSelect.innerHTML = "";
+            this.profiles.forEach(profile => {
+                const option = document.createElement("option");
+                option.value = profile.id;
+                option.textContent = profile.name;
+                this.profileSelect.appendChild(option);
+            });
+            if (this.profiles.some(profile => profile.id === profileId)) {
+                this.showProfile(profileId);
+            } else {
+                this.newProfile();
+            }
+        }
+
+        /**
+         * Shows a profile in the form.
+         * @param {string} profileId - The profile ID.
+         */
+        showProfile(profileId) {
+            const profile = this.profiles.find(p => p.id === profileId) || {};
+            this.profileSelect.value = profileId;
+            this.profileNameInput.value = profile.name || "";
+            this.outlineUrlInput.value = profile.outlineUrl || "";
+            this.apiTokenInput.dataset.fullToken = profile.apiToken || "";
+            this.apiTokenInput.value = this.maskToken(profile.apiToken || "");
+            this.apiTokenInput.readOnly = Boolean(profile.apiToken);
+            this.toggleBtn.textContent = "Show";
+            this.connectionStatusDiv.textContent = "";
+        }
+
+        /**
+         * Clears the form so saving it creates a new profile.
+         */
+        newProfile() {
+            this.profileSelect.value = "";
+            this.profileNameInput.value = "";
+            this.outlineUrlInput.value = "";
+            this.apiTokenInput.dataset.fullToken = "";
+            this.apiTokenInput.value = "";
+            this.apiTokenInput.readOnly = false;
+            this.toggleBtn.textContent = "Hide";
+            this.connectionStatusDiv.textContent = "";
+        }
+
+        async deleteProfile() {
+            const profileId = this.profileSelect.value;
+            const profile = this.profiles.find(p => p.id === profileId);
+            if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) {
+                return;
+            }
+            try {
+                this.profiles = this.profiles.filter(p => p.id !== profileId);
+                await saveProfiles(this.profiles);
+                // getActiveProfileId falls back to the first remaining profile.
+                this.renderProfiles(await getActiveProfileId());
+            } catch (err) {
+                console.error("Error deleting profile:", err);
+                alert("Error deleting profile.");
+            }
+        }
+
         toggleTokenVisibility() {
             if (this.toggleBtn.textContent === "Show") {
                 this.apiTokenInput.value = this.apiTokenInput.dataset.fullToken;
@@ -72,8 +163,9 @@ document.addEventListener("DOMContentLoaded", () => {
             const apiToken = this.apiTokenInput.readOnly
                 ? this.apiTokenInput.dataset.fullToken
                 : this.apiTokenInput.value.trim();
-            if (!outlineUrl || !apiToken) {
-                alert("Both the Outline API Base URL and API token are required.");
+            const name = this.profileNameInput.value.trim();
+            if (!name || !outlineUrl || !apiToken) {
+                alert("The profile name, Outline API Base URL and API token are required.");
                 return;
             }
             if (!/^https?:\/\//.test(outlineUrl)) {
@@ -81,8 +173,21 @@ document.addEventListener("DOMContentLoaded", () => {
                 return;
             }
             outlineUrl = outlineUrl.replace(/\/+$/, '');
-            saveToStorage({ outlineUrl, apiToken }, true)
-                .then(() => alert("Settings saved!"))
+            const profileId = this.profileSelect.value || `profile-${Date.now()}`;
+            const profile = { id: profileId, name, outlineUrl, apiToken };
+            const exists = this.profiles.some(p => p.id === profileId);
+            this.profiles = exists
+                ? this.profiles.map(p => (p.id === profileId ? profile : p))
+                : [...this.profiles, profile];
+            saveProfiles(this.profiles)
+                .then(async () => {
+                    // The first profile becomes the active workspace.
+                    if (this.profiles.length === 1) {
+                        await setActiveProfileId(profileId);
+                    }
+                    this.renderProfiles(profileId);
+                    alert("Settings saved!");
+                })
                 .catch((err) => {
                     console.error("Error saving settings:", err);
                     alert("Error saving settings.");
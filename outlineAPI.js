@@ -4,6 +4,9 @@
 
 import { FETCH_TIMEOUT, MAX_RETRIES, INITIAL_BACKOFF, OutlineApiError } from './config.js';
 import { retryFetch, parseApiError, debugLog, createApiHeaders } from './utils.js';
+import { RequestScheduler } from './requestScheduler.js';
+
+const PAGE_SIZE = 100; // Outline's maximum page size
 
 /**
  * Class representing the Outline API.
@@ -19,33 +22,78 @@ export class OutlineAPI {
         this.baseUrl = outlineUrl.replace(/\/+$/, '');
         this.apiToken = apiToken;
         this.headers = createApiHeaders(apiToken);
+        // Every request of this instance goes through one scheduler, so parallel
+        // jobs share its concurrency limit and rate limit.
+        this.scheduler = new RequestScheduler();
+    }
+
+    /**
+     * Sends a request, retrying with backoff. Every attempt goes through the
+     * scheduler on its own, so a request waiting to retry does not hold a slot.
+     * Rate limit responses slow the scheduler down for every following request.
+     * @param {string} endpoint - The URL.
+     * @param {Object} options - Fetch options.
+     * @returns {Promise<Response>} - The response.
+     */
+    request(endpoint, options) {
+        return retryFetch(
+            endpoint,
+            options,
+            MAX_RETRIES,
+            INITIAL_BACKOFF,
+            delay => this.scheduler.onRateLimit(delay),
+            attempt => this.scheduler.schedule(attempt),
+        );
     }
 
     /**
      * Creates a new collection.
-     * @param {string} collectionName - The name of the collection.
-     * @returns {Promise<string>} - The ID of the created collection.
+     * @param {Object} settings - Collection settings.
+     * @param {string} settings.name - The collection name.
+     * @param {string} [settings.description=""] - The description (Markdown).
+     * @param {string} [settings.icon] - An icon name or emoji.
+     * @param {string} [settings.color] - A hex color, e.g. "#4E5C6E".
+     * @param {string|null} [settings.permission="read"] - Default access: "read", "read_write", or null for none.
+     * @param {boolean} [settings.private=false] - Whether the collection is private (older servers).
+     * @returns {Promise<Object>} - The created collection.
      */
-    async createCollection(collectionName) {
-        const endpoint = `${this.baseUrl}/api/collections.create`;
-        debugLog("Sending POST request to:", endpoint);
-        const response = await retryFetch(endpoint, {
-            method: "POST",
-            headers: this.headers,
-            body: JSON.stringify({
-                name: collectionName,
-                description: "",
-                permission: "read",
-                color: "#123123",
-                private: false,
-            }),
-        });
-        if (!response.ok) {
-            const errorMsg = await parseApiError(response, "Collection creation failed");
-            throw new OutlineApiError(errorMsg, response.status);
+    async createCollection({ name, description = "", icon, color, permission = "read", private: isPrivate = false }) {
+        const payload = { name, description, permission, private: isPrivate };
+        if (icon) {
+            payload.icon = icon;
         }
-        const data = await response.json();
-        return data.data.id;
+        if (color) {
+            payload.color = color;
+        }
+        return this.post("collections.create", payload, "Collection creation failed");
+    }
+
+    /**
+     * Updates the settings of a collection.
+     * @param {string} collectionId - The collection ID.
+     * @param {Object} fields - The settings to change (name, description, icon, color, permission, private).
+     * @returns {Promise<Object>} - The updated collection.
+     */
+    async updateCollection(collectionId, fields) {
+        return this.post("collections.update", { id: collectionId, ...fields }, "Updating collection failed");
+    }
+
+    /**
+     * Archives a collection.
+     * @param {string} collectionId - The collection ID.
+     * @returns {Promise<Object>} - The archived collection.
+     */
+    async archiveCollection(collectionId) {
+        return this.post("collections.archive", { id: collectionId }, "Archiving collection failed");
+    }
+
+    /**
+     * Deletes a collection, with its documents.
+     * @param {string} collectionId - The collection ID.
+     * @returns {Promise<Object>} - The API response data.
+     */
+    async deleteCollection(collectionId) {
+        return this.post("collections.delete", { id: collectionId }, "Deleting collection failed");
     }
 
     /**
@@ -65,7 +113,7 @@ export class OutlineAPI {
             payload.parentDocumentId = parentDocumentId;
         }
         debugLog("Sending request to create document with payload:", payload);
-        const response = await retryFetch(endpoint, {
+        const response = await this.request(endpoint, {
             method: "POST",
             headers: this.headers,
             body: JSON.stringify(payload),
@@ -78,42 +126,30 @@ export class OutlineAPI {
         return data.data;
     }
 
+    /**
+     * Lists every collection.
+     * @returns {Promise<Array>} - The collections.
+     */
     async listCollections() {
-        const endpoint = `${this.baseUrl}/api/collections.list`;
-        let collections = [];
-        let offset = 1; // The API example starts at 1
-        const limit = 25; // You can adjust this number if needed
-
-        while (true) {
-            const payload = { offset, limit };
-            const response = await retryFetch(endpoint, {
-                method: "POST",
-                headers: this.headers,
-                body: JSON.stringify(payload),
-            });
-
-            if (!response.ok) {
-                const errorMsg = await parseApiError(response, "Listing collections failed");
-                throw new OutlineApiError(errorMsg, response.status);
-            }
+        return this.listAll("collections.list", {}, "Listing collections failed");
+    }
 
-            const data = await response.json();
-            // Assuming data.data is an array of collections
-            if (Array.isArray(data.data)) {
-                collections.push(...data.data);
-
-                // If we received less than 'limit', we've reached the last page.
-                if (data.data.length < limit) {
-                    break;
-                }
-                // Otherwise, update the offset for the next page.
-                offset += limit;
-            } else {
-                break;
-            }
-        }
+    /**
+     * Retrieves a collection.
+     * @param {string} collectionId - The collection ID.
+     * @returns {Promise<Object>} - The collection, including updatedAt.
+     */
+    async getCollection(collectionId) {
+        return this.post("collections.info", { id: collectionId }, "Fetching collection failed");
+    }
 
-        return collections;
+    /**
+     * Retrieves the document tree of a collection, page by page, as nested nodes.
+     * @param {string} collectionId - The ID of the collection.
+     * @returns {AsyncGenerator<Array>} - Pages of top-level document nodes with their children.
+     */
+    streamCollectionDocuments(collectionId) {
+        return this.paginate("collections.documents", { id: collectionId }, "Fetching collection documents failed");
     }
 
     /**
@@ -122,26 +158,7 @@ export class OutlineAPI {
      * @returns {Promise<Array>} - An array of document objects.
      */
     async getCollectionDocuments(collectionId) {
-        const endpoint = `${this.baseUrl}/api/collections.documents`;
-        const payload = {
-            id: collectionId,  // Correct field name expected by the API
-            offset: 1,
-            limit: 1000
-        };
-
-        const response = await retryFetch(endpoint, {
-            method: "POST",
-            headers: this.headers,
-            body: JSON.stringify(payload),
-        });
-
-        if (!response.ok) {
-            const errorMsg = await parseApiError(response, "Fetching collection documents failed");
-            throw new OutlineApiError(errorMsg, response.status);
-        }
-
-        const data = await response.json();
-        return data.data;
+        return this.collect(this.streamCollectionDocuments(collectionId));
     }
 
     /**
@@ -149,9 +166,10 @@ export class OutlineAPI {
      * @param {string} documentId - The ID of the document to move.
      * @param {string} destCollectionId - The destination collection ID.
      * @param {string} [destParentId=""] - The destination parent document ID (optional).
+     * @param {number} [index] - Position among the new siblings (optional; appended when omitted).
      * @returns {Promise<Object>} - The moved document data.
      */
-    async moveDocument(documentId, destCollectionId, destParentId = "") {
+    async moveDocument(documentId, destCollectionId, destParentId = "", index) {
         const endpoint = `${this.baseUrl}/api/documents.move`;
 
         // Build payload; include parentDocumentId only if provided.
@@ -164,7 +182,11 @@ export class OutlineAPI {
             payload.parentDocumentId = destParentId;
         }
 
-        const response = await retryFetch(endpoint, {
+        if (Number.isInteger(index) && index >= 0) {
+            payload.index = index;
+        }
+
+        const response = await this.request(endpoint, {
             method: "POST",
             headers: this.headers,
             body: JSON.stringify(payload)
@@ -181,6 +203,353 @@ export class OutlineAPI {
 
 
 
+    /**
+     * Duplicates a document on the server, including its attachments.
+     * Only available on Outline versions that provide documents.duplicate.
+     * @param {string} documentId - The ID of the document to duplicate.
+     * @param {Object} [options] - Duplicate options.
+     * @param {string} [options.collectionId] - The collection to create the copy in.
+     * @param {string} [options.parentDocumentId=""] - The parent of the copy (optional).
+     * @param {boolean} [options.recursive=false] - Whether to duplicate child documents too.
+     * @param {boolean} [options.publish=true] - Whether to publish the copy.
+     * @returns {Promise<Object>} - The created copy.
+     */
+    async duplicateDocument(documentId, { collectionId, parentDocumentId = "", recursive = false, publish = true } = {}) {
+        const endpoint = `${this.baseUrl}/api/documents.duplicate`;
+        const payload = { id: documentId, recursive, publish };
+        if (collectionId) {
+            payload.collectionId = collectionId;
+        }
+        if (parentDocumentId && parentDocumentId.trim() !== "") {
+            payload.parentDocumentId = parentDocumentId;
+        }
+        const response = await this.request(endpoint, {
+            method: "POST",
+            headers: this.headers,
+            body: JSON.stringify(payload),
+        });
+        if (!response.ok) {
+            const errorMsg = await parseApiError(response, "Duplicating document failed");
+            throw new OutlineApiError(errorMsg, response.status);
+        }
+        const data = await response.json();
+        return data.data.documents[0];
+    }
+
+    /**
+     * Sends a POST request to an API method and returns the "data" of the response.
+     * @param {string} method - The API method, e.g. "documents.archive".
+     * @param {Object} payload - The request body.
+     * @param {string} defaultErrorText - Error text used when the response has none.
+     * @returns {Promise<*>} - The response data.
+     */
+    async post(method, payload, defaultErrorText) {
+        return (await this.postForBody(method, payload, defaultErrorText)).data;
+    }
+
+    /**
+     * Sends a POST request to an API method and returns the whole response body,
+     * including "pagination" for list-style methods.
+     * @param {string} method - The API method.
+     * @param {Object} payload - The request body.
+     * @param {string} defaultErrorText - Error text used when the response has none.
+     * @returns {Promise<Object>} - The response body.
+     */
+    async postForBody(method, payload, defaultErrorText) {
+        const endpoint = `${this.baseUrl}/api/${method}`;
+        debugLog("Sending POST request to:", endpoint, payload);
+        const response = await this.request(endpoint, {
+            method: "POST",
+            headers: this.headers,
+            body: JSON.stringify(payload),
+        });
+        if (!response.ok) {
+            const errorMsg = await parseApiError(response, defaultErrorText);
+            throw new OutlineApiError(errorMsg, response.status);
+        }
+        return response.json();
+    }
+
+    /**
+     * Updates fields of a document (title, text, publish, ...).
+     * @param {string} documentId - The document ID.
+     * @param {Object} fields - The fields to update.
+     * @returns {Promise<Object>} - The updated document.
+     */
+    async updateDocument(documentId, fields) {
+        return this.post("documents.update", { id: documentId, ...fields }, "Updating document failed");
+    }
+
+    /**
+     * Changes the title of a document.
+     * @param {string} documentId - The document ID.
+     * @param {string} title - The new title.
+     * @returns {Promise<Object>} - The updated document.
+     */
+    async renameDocument(documentId, title) {
+        return this.updateDocument(documentId, { title });
+    }
+
+    /**
+     * Archives a document and its children.
+     * @param {string} documentId - The document ID.
+     * @returns {Promise<Object>} - The archived document.
+     */
+    async archiveDocument(documentId) {
+        return this.post("documents.archive", { id: documentId }, "Archiving document failed");
+    }
+
+    /**
+     * Restores an archived document. Falls back to documents.restore on servers
+     * that predate documents.unarchive.
+     * @param {string} documentId - The document ID.
+     * @returns {Promise<Object>} - The restored document.
+     */
+    async unarchiveDocument(documentId) {
+        try {
+            return await this.post("documents.unarchive", { id: documentId }, "Unarchiving document failed");
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+            return this.restoreDocument(documentId);
+        }
+    }
+
+    /**
+     * Deletes a document and its children, moving them to the trash unless permanent.
+     * @param {string} documentId - The document ID.
+     * @param {boolean} [permanent=false] - Whether to delete permanently.
+     * @returns {Promise<boolean>} - Whether the deletion succeeded.
+     */
+    async deleteDocument(documentId, permanent = false) {
+        const payload = { id: documentId };
+        if (permanent) {
+            payload.permanent = true;
+        }
+        await this.post("documents.delete", payload, "Deleting document failed");
+        return true;
+    }
+
+    /**
+     * Restores a document from the trash or the archive.
+     * @param {string} documentId - The document ID.
+     * @param {string} [collectionId=""] - Collection to restore into, if the original one is gone.
+     * @returns {Promise<Object>} - The restored document.
+     */
+    async restoreDocument(documentId, collectionId = "") {
+        const payload = { id: documentId };
+        if (collectionId) {
+            payload.collectionId = collectionId;
+        }
+        return this.post("documents.restore", payload, "Restoring document failed");
+    }
+
+    /**
+     * Publishes a draft document.
+     * @param {string} documentId - The document ID.
+     * @returns {Promise<Object>} - The published document.
+     */
+    async publishDocument(documentId) {
+        return this.updateDocument(documentId, { publish: true });
+    }
+
+    /**
+     * Turns a published document back into a draft.
+     * @param {string} documentId - The document ID.
+     * @returns {Promise<Object>} - The unpublished document.
+     */
+    async unpublishDocument(documentId) {
+        return this.post("documents.unpublish", { id: documentId }, "Unpublishing document failed");
+    }
+
+    /**
+     * Lists archived documents of a collection.
+     * @param {string} collectionId - The collection ID.
+     * @returns {Promise<Array>} - The archived documents.
+     */
+    async listArchivedDocuments(collectionId) {
+        return this.collect(this.streamArchivedDocuments(collectionId));
+    }
+
+    /**
+     * Lists archived documents of a collection, page by page.
+     * @param {string} collectionId - The collection ID.
+     * @returns {AsyncGenerator<Array>} - Pages of archived documents.
+     */
+    streamArchivedDocuments(collectionId) {
+        return this.paginate("documents.archived", { collectionId }, "Listing archived documents failed");
+    }
+
+    /**
+     * Lists documents in the trash, optionally restricted to a collection.
+     * @param {string} [collectionId=""] - The collection ID.
+     * @returns {Promise<Array>} - The deleted documents.
+     */
+    async listDeletedDocuments(collectionId = "") {
+        const docs = await this.listAll("documents.deleted", {}, "Listing deleted documents failed");
+        return collectionId ? docs.filter(doc => doc.collectionId === collectionId) : docs;
+    }
+
+    /**
+     * Lists the documents of a collection with their full metadata
+     * (timestamps, authors, ...), which the collection tree does not include.
+     * @param {string} collectionId - The collection ID.
+     * @returns {Promise<Array>} - The documents.
+     */
+    async listDocuments(collectionId) {
+        return this.listAll("documents.list", { collectionId }, "Listing documents failed");
+    }
+
+    /**
+     * Lists the documents of a collection page by page, most recently updated first.
+     * @param {string} collectionId - The collection ID.
+     * @returns {AsyncGenerator<Array>} - Pages of documents.
+     */
+    streamDocumentsByUpdate(collectionId) {
+        return this.paginate(
+            "documents.list",
+            { collectionId, sort: "updatedAt", direction: "DESC" },
+            "Listing documents failed",
+        );
+    }
+
+    /**
+     * Searches documents by full text.
+     * @param {string} query - The search query.
+     * @param {string} [collectionId=""] - Restricts the search to a collection.
+     * @returns {Promise<Array>} - The matching documents.
+     */
+    async searchDocuments(query, collectionId = "") {
+        const payload = { query };
+        if (collectionId) {
+            payload.collectionId = collectionId;
+        }
+        const results = await this.listAll("documents.search", payload, "Searching documents failed");
+        return results.map(result => result.document);
+    }
+
+    /**
+     * Downloads the content of an attachment.
+     * @param {string} attachmentId - The attachment ID.
+     * @returns {Promise<Blob>} - The attachment content.
+     */
+    async downloadAttachment(attachmentId) {
+        const endpoint = `${this.baseUrl}/api/attachments.redirect?id=${encodeURIComponent(attachmentId)}`;
+        // Only the Authorization header is sent; it is dropped when redirected to external storage.
+        const response = await this.request(endpoint, {
+            headers: { "Authorization": this.headers.Authorization },
+        });
+        if (!response.ok) {
+            const errorMsg = await parseApiError(response, "Downloading attachment failed");
+            throw new OutlineApiError(errorMsg, response.status);
+        }
+        return response.blob();
+    }
+
+    /**
+     * Uploads a file as an attachment of a document.
+     * @param {Object} options - Upload options.
+     * @param {string} options.name - The file name.
+     * @param {Blob} options.blob - The file content.
+     * @param {string} [options.documentId] - The document the attachment belongs to.
+     * @returns {Promise<Object>} - The created attachment, including its url.
+     */
+    async uploadAttachment({ name, blob, documentId }) {
+        const { uploadUrl, form, attachment } = await this.post("attachments.create", {
+            name,
+            documentId,
+            contentType: blob.type || "application/octet-stream",
+            size: blob.size,
+        }, "Creating attachment failed");
+
+        const body = new FormData();
+        Object.entries(form || {}).forEach(([key, value]) => body.append(key, value));
+        body.append("file", blob, name);
+        // Servers using local file storage return a relative upload URL that needs authorization.
+        const isLocal = uploadUrl.startsWith("/");
+        const response = await this.request(isLocal ? `${this.baseUrl}${uploadUrl}` : uploadUrl, {
+            method: "POST",
+            headers: isLocal ? { "Authorization": this.headers.Authorization } : {},
+            body,
+        });
+        if (!response.ok) {
+            const errorMsg = await parseApiError(response, "Uploading attachment failed");
+            throw new OutlineApiError(errorMsg, response.status);
+        }
+        return attachment;
+    }
+
+    /**
+     * Iterates over the pages of a list-style API method. Offsets are zero-based.
+     * The page size reported by the server is honored, so a server capping the
+     * limit does not end the listing early. A page identical to the previous one
+     * means the method ignores offsets and already returned everything. When the
+     * server reports a total, a listing that ends short of it is an error rather
+     * than a silently truncated result.
+     * @param {string} method - The API method.
+     * @param {Object} payload - Filters sent with every page.
+     * @param {string} defaultErrorText - Error text used when the response has none.
+     * @param {number} [limit=PAGE_SIZE] - The requested page size.
+     * @returns {AsyncGenerator<Array>} - The pages.
+     */
+    async *paginate(method, payload, defaultErrorText, limit = PAGE_SIZE) {
+        let offset = 0;
+        let received = 0;
+        let total = null;
+        let previousKey = null;
+        while (true) {
+            const body = await this.postForBody(method, { ...payload, offset, limit }, defaultErrorText);
+            const page = Array.isArray(body.data) ? body.data : [];
+            const pagination = body.pagination || {};
+            if (Number.isInteger(pagination.total)) {
+                total = pagination.total;
+            }
+            const pageKey = page.length > 0 ? JSON.stringify(page[0].id ?? page[0]) : null;
+            if (pageKey !== null && pageKey === previousKey) {
+                debugLog(`${method} ignores offsets; stopping after ${received} item(s).`);
+                break;
+            }
+            previousKey = pageKey;
+            received += page.length;
+            if (page.length > 0) {
+                yield page;
+            }
+            const pageSize = Number.isInteger(pagination.limit) && pagination.limit > 0 ? pagination.limit : limit;
+            if (page.length < pageSize || (total !== null && received >= total)) {
+                break;
+            }
+            offset += page.length;
+        }
+        if (total !== null && received < total) {
+            throw new OutlineApiError(`${defaultErrorText}: received ${received} of ${total} item(s)`, null);
+        }
+    }
+
+    /**
+     * Collects every item of a paginated listing.
+     * @param {AsyncGenerator<Array>} pages - The pages, e.g. from paginate().
+     * @returns {Promise<Array>} - All items.
+     */
+    async collect(pages) {
+        const items = [];
+        for await (const page of pages) {
+            items.push(...page);
+        }
+        return items;
+    }
+
+    /**
+     * Fetches every page of a list-style API method.
+     * @param {string} method - The API method.
+     * @param {Object} payload - Filters sent with every page.
+     * @param {string} defaultErrorText - Error text used when the response has none.
+     * @returns {Promise<Array>} - All items.
+     */
+    async listAll(method, payload, defaultErrorText) {
+        return this.collect(this.paginate(method, payload, defaultErrorText));
+    }
+
     /**
      * Retrieves document details.
      * @param {string} documentId - The document ID.
@@ -188,7 +557,7 @@ export class OutlineAPI {
      */
     async getDocument(documentId) {
         const endpoint = `${this.baseUrl}/api/documents.info`;
-        const response = await retryFetch(endpoint, {
+        const response = await this.request(endpoint, {
             method: "POST",
             headers: this.headers,
             body: JSON.stringify({ id: documentId }),
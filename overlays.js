@@ -29,3 +29,177 @@ export function showErrorOverlay(errorMessage) {
         }, 2500);
     }
 }
+
+/**
+ * Shows an in-page picker for the destination of the open document. Injected with
+ * chrome.scripting, so it cannot use anything outside of itself; trees are fetched
+ * and the move is started by messages to the background worker.
+ *
+ * @param {Object} options - Picker options.
+ * @param {Object} options.doc - The document to move: { id, title, collectionId }.
+ * @param {Array} options.collections - The collections of its workspace: { id, name }.
+ * @param {string} options.profileId - The workspace (profile) ID.
+ * @param {string} options.treeMessageType - Message type asking for a collection tree.
+ * @param {string} options.moveMessageType - Message type starting the move.
+ */
+export function showMovePickerOverlay({ doc, collections, profileId, treeMessageType, moveMessageType }) {
+    const previous = document.getElementById('outline-progress-overlay');
+    if (previous) {
+        previous.remove();
+    }
+    const overlay = document.createElement('div');
+    overlay.id = 'outline-progress-overlay';
+    Object.assign(overlay.style, {
+        position: 'fixed',
+        top: '20px',
+        right: '20px',
+        width: '360px',
+        maxHeight: '80vh',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px',
+        padding: '16px',
+        background: '#fff',
+        color: '#333',
+        borderRadius: '8px',
+        boxShadow: '0 4px 24px rgba(0, 0, 0, 0.25)',
+        zIndex: '2147483647',
+        fontFamily: "-apple-system, BlinkMacSystemFont, sans-serif",
+        fontSize: '14px',
+        alignItems: 'stretch',
+    });
+
+    const heading = document.createElement('div');
+    heading.textContent = `Move "${doc.title || '(Untitled)'}" and its children to…`;
+    heading.style.fontWeight = '600';
+
+    const collectionSelect = document.createElement('select');
+    collections.forEach(collection => {
+        const option = document.createElement('option');
+        option.value = collection.id;
+        option.textContent = collection.name;
+        collectionSelect.appendChild(option);
+    });
+    collectionSelect.value = doc.collectionId;
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.placeholder = 'Search destination…';
+
+    const list = document.createElement('div');
+    Object.assign(list.style, { flex: '1', minHeight: '160px', overflowY: 'auto', border: '1px solid #ddd', borderRadius: '4px' });
+
+    const positionSelect = document.createElement('select');
+    [['bottom', 'At the bottom'], ['top', 'At the top']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        positionSelect.appendChild(option);
+    });
+
+    const status = document.createElement('div');
+    status.style.color = '#666';
+
+    const buttons = document.createElement('div');
+    Object.assign(buttons.style, { display: 'flex', gap: '8px', justifyContent: 'flex-end' });
+    const moveBtn = document.createElement('button');
+    moveBtn.textContent = 'Move';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    buttons.append(cancelBtn, moveBtn);
+
+    let tree = [];
+    let parentDocumentId = '';
+
+    const close = () => {
+        document.removeEventListener('keydown', onKeyDown, true);
+        overlay.remove();
+    };
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            close();
+        }
+    };
+
+    // The document itself and its descendants cannot be the destination.
+    const renderList = () => {
+        list.innerHTML = '';
+        const query = search.value.trim().toLowerCase();
+        const addItem = (id, title, depth) => {
+            const item = document.createElement('div');
+            item.textContent = title;
+            Object.assign(item.style, {
+                padding: `3px 8px 3px ${8 + depth * 14}px`,
+                cursor: 'pointer',
+                background: id === parentDocumentId ? '#dbe9ff' : '',
+            });
+            item.addEventListener('click', () => {
+                parentDocumentId = id;
+                renderList();
+            });
+            list.appendChild(item);
+        };
+        if (!query) {
+            addItem('', '(Top level of the collection)', 0);
+        }
+        const visit = (nodes, depth) => nodes.forEach(node => {
+            if (node.id === doc.id) {
+                return;
+            }
+            const title = node.title || '(Untitled)';
+            if (!query || title.toLowerCase().includes(query)) {
+                addItem(node.id, title, query ? 0 : depth);
+            }
+            visit(node.children || [], depth + 1);
+        });
+        visit(tree, 0);
+    };
+
+    const loadTree = async () => {
+        status.textContent = 'Loading…';
+        parentDocumentId = '';
+        tree = [];
+        renderList();
+        const response = await chrome.runtime.sendMessage({
+            type: treeMessageType,
+            profileId,
+            collectionId: collectionSelect.value,
+        });
+        if (!response || response.error) {
+            status.textContent = `Failed to load the collection: ${response ? response.error : 'no response'}`;
+            return;
+        }
+        tree = response.tree;
+        status.textContent = '';
+        renderList();
+    };
+
+    collectionSelect.addEventListener('change', loadTree);
+    search.addEventListener('input', renderList);
+    cancelBtn.addEventListener('click', close);
+    moveBtn.addEventListener('click', async () => {
+        moveBtn.disabled = true;
+        status.textContent = 'Starting…';
+        const response = await chrome.runtime.sendMessage({
+            type: moveMessageType,
+            profileId,
+            documentId: doc.id,
+            collectionId: collectionSelect.value,
+            parentDocumentId,
+            position: positionSelect.value,
+        });
+        if (!response || response.error) {
+            status.textContent = `Failed: ${response ? response.error : 'no response'}`;
+            moveBtn.disabled = false;
+            return;
+        }
+        status.textContent = `Moving ${response.count} document(s) in the background.`;
+        setTimeout(close, 1500);
+    });
+    document.addEventListener('keydown', onKeyDown, true);
+
+    overlay.append(heading, collectionSelect, search, list, positionSelect, status, buttons);
+    document.body.appendChild(overlay);
+    search.focus();
+    loadTree();
+}
@@ -0,0 +1,264 @@
+// pageMover.js
+// "Move to…" for the Outline document open in a tab. A context menu entry and a
+// keyboard command show a destination picker in the page (see overlays.js); the
+// picker asks this module for collection trees and to start the move job. Another
+// command repeats the last move, sending the open document to the same destination.
+
+import { CONTEXT_MENU_ID } from './config.js';
+import {
+    getProfiles, getOutlineAPI, getCachedTree, putCachedTree, getTreeVersion, revalidateCachedTree,
+} from './storageManager.js';
+import { buildMovePlan, findAncestors, findNode } from './movePlanner.js';
+import { createJob, addJobs, planToSteps } from './jobQueue.js';
+import { parseDocumentLink } from './linkChecker.js';
+import { getRecentDestinations, addRecentDestination } from './destinationPicker.js';
+import { createNotification } from './notificationManager.js';
+import { showMovePickerOverlay } from './overlays.js';
+import { executeScriptOnTab } from './utils.js';
+
+export const MOVE_COMMAND = "move-current-document";
+export const REPEAT_MOVE_COMMAND = "repeat-last-move";
+export const PAGE_TREE_MESSAGE = "pageMover:getTree";
+export const PAGE_MOVE_MESSAGE = "pageMover:move";
+
+/**
+ * Returns the base URLs of the configured workspaces, without trailing slashes.
+ *
+ * @returns {Promise<Array>} Entries: { profileId, baseUrl }.
+ */
+async function getWorkspaceUrls() {
+    return (await getProfiles())
+        .filter(profile => profile.outlineUrl)
+        .map(profile => ({ profileId: profile.id, baseUrl: profile.outlineUrl.replace(/\/+$/, "") }));
+}
+
+// The update of the context menu in progress; updates run one after another, so
+// a removeAll of one cannot interleave with the create of another.
+let contextMenuUpdate = Promise.resolve();
+
+/**
+ * Removes the "Move to…" context menu entry and creates it again for the current
+ * workspaces.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If the entry could not be created.
+ */
+async function updateContextMenu() {
+    await chrome.contextMenus.removeAll();
+    const patterns = [];
+    (await getWorkspaceUrls()).forEach(({ baseUrl }) => {
+        try {
+            patterns.push(`${new URL(baseUrl).origin}/doc/*`);
+        } catch (error) {
+            console.warn("Ignoring workspace with an invalid URL:", baseUrl);
+        }
+    });
+    if (patterns.length === 0) {
+        return;
+    }
+    await new Promise((resolve, reject) => {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_ID,
+            title: "Move to…",
+            contexts: ["page"],
+            documentUrlPatterns: patterns,
+        }, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * (Re)creates the "Move to…" context menu entry, shown on document pages of the
+ * configured workspaces only. Calls are queued behind the previous update; a
+ * failure is logged and does not stop later updates.
+ *
+ * @returns {Promise<void>}
+ */
+export function registerContextMenu() {
+    contextMenuUpdate = contextMenuUpdate
+        .then(updateContextMenu)
+        .catch(error => console.error("Error registering the context menu:", error));
+    return contextMenuUpdate;
+}
+
+/**
+ * Finds the workspace and document of a page URL such as https://host/doc/title-AbC123.
+ *
+ * @param {string} url - The page URL.
+ * @returns {Promise<Object|null>} { profileId, urlId }, or null for other pages.
+ */
+async function findDocumentOfPage(url) {
+    for (const { profileId, baseUrl } of await getWorkspaceUrls()) {
+        const link = url && url.startsWith(baseUrl) ? parseDocumentLink(url, baseUrl) : null;
+        if (link) {
+            return { profileId, urlId: link.urlId };
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the document open in a tab.
+ *
+ * @param {Object} tab - The tab.
+ * @returns {Promise<Object>} { profileId, api, doc }.
+ * @throws {Error} If the tab does not show a document of a configured workspace.
+ */
+async function getPageDocument(tab) {
+    const location = await findDocumentOfPage(tab.url);
+    if (!location) {
+        throw new Error("This page is not a document of a configured Outline workspace.");
+    }
+    const api = await getOutlineAPI(location.profileId);
+    // documents.info accepts a urlId as well as an ID.
+    const doc = await api.getDocument(location.urlId);
+    if (!doc) {
+        throw new Error("The document of this page was not found.");
+    }
+    return { profileId: location.profileId, api, doc };
+}
+
+/**
+ * Shows the destination picker for the document open in a tab.
+ *
+ * @param {Object} tab - The tab.
+ * @returns {Promise<void>}
+ * @throws {Error} If the tab does not show a document of a configured workspace.
+ */
+export async function startPageMove(tab) {
+    const { profileId, api, doc } = await getPageDocument(tab);
+    const collections = await api.listCollections();
+    await executeScriptOnTab(tab.id, {
+        func: showMovePickerOverlay,
+        args: [{
+            doc: { id: doc.id, title: doc.title, collectionId: doc.collectionId },
+            collections: collections.map(collection => ({ id: collection.id, name: collection.name })),
+            profileId,
+            treeMessageType: PAGE_TREE_MESSAGE,
+            moveMessageType: PAGE_MOVE_MESSAGE,
+        }],
+    });
+}
+
+/**
+ * Moves the document open in a tab to the bottom of the destination used last in
+ * its workspace, from the manager or from the in-page picker.
+ *
+ * @param {Object} tab - The tab.
+ * @returns {Promise<void>}
+ * @throws {Error} If the tab does not show a document, or there is no move to repeat.
+ */
+export async function repeatLastMove(tab) {
+    const { profileId, doc } = await getPageDocument(tab);
+    const last = (await getRecentDestinations())
+        .find(entry => !entry.profileId || entry.profileId === profileId);
+    if (!last) {
+        throw new Error("There is no earlier move in this workspace to repeat.");
+    }
+    const { count } = await handlePageMoveMessage({
+        type: PAGE_MOVE_MESSAGE,
+        profileId,
+        documentId: doc.id,
+        collectionId: last.collectionId,
+        parentDocumentId: last.parentDocumentId,
+        position: "bottom",
+    });
+    createNotification("Move started", `${doc.title || "(Untitled)"} (${count} document(s)) → ${last.label}`);
+}
+
+/**
+ * Returns the tree of a collection for the picker, from the tree cache when it
+ * is still current.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {string} profileId - The workspace (profile) ID.
+ * @param {string} collectionId - The collection ID.
+ * @returns {Promise<Array>} The nested documents.
+ */
+async function loadPickerTree(api, profileId, collectionId) {
+    const cached = await getCachedTree(profileId, collectionId);
+    if (cached) {
+        const fresh = await revalidateCachedTree(api, cached);
+        return fresh ? fresh.documents : cached.documents;
+    }
+    const version = await getTreeVersion(api, collectionId);
+    const documents = await api.getCollectionDocuments(collectionId);
+    await putCachedTree(profileId, collectionId, documents, version);
+    return documents;
+}
+
+/**
+ * Reduces nested documents to what the picker shows, keeping messages small.
+ *
+ * @param {Array} nodes - The nested documents.
+ * @returns {Array} Nodes: { id, title, children }.
+ */
+function toPickerNodes(nodes) {
+    return nodes.map(node => ({ id: node.id, title: node.title, children: toPickerNodes(node.children || []) }));
+}
+
+/**
+ * Answers a message of the in-page picker. The destination of a move becomes the
+ * most recent one, shared with the manager and used when repeating the last move.
+ *
+ * @param {Object} message - { type: PAGE_TREE_MESSAGE, profileId, collectionId } or
+ *   { type: PAGE_MOVE_MESSAGE, profileId, documentId, collectionId, parentDocumentId, position }.
+ * @returns {Promise<Object>} { tree } for a tree request, { count } once the move job is enqueued.
+ */
+export async function handlePageMoveMessage(message) {
+    const api = await getOutlineAPI(message.profileId);
+    if (message.type === PAGE_TREE_MESSAGE) {
+        return { tree: toPickerNodes(await loadPickerTree(api, message.profileId, message.collectionId)) };
+    }
+
+    const doc = await api.getDocument(message.documentId);
+    if (!doc) {
+        throw new Error("Document not found");
+    }
+    // The plan is built from the current trees, not from the cache.
+    const sourceTree = await api.getCollectionDocuments(doc.collectionId);
+    const destinationTree = message.collectionId === doc.collectionId
+        ? sourceTree
+        : await api.getCollectionDocuments(message.collectionId);
+    const node = findNode(sourceTree, doc.id);
+    if (!node) {
+        throw new Error("Document not found in its collection");
+    }
+    const parentDocumentId = message.parentDocumentId || "";
+    const parentPath = parentDocumentId ? findAncestors(destinationTree, parentDocumentId) : [];
+    if (!parentPath) {
+        throw new Error("Destination not found");
+    }
+    if (parentDocumentId && (parentDocumentId === doc.id || findNode(node.children || [], parentDocumentId))) {
+        throw new Error("A document cannot be moved into itself");
+    }
+
+    const source = await api.getCollection(doc.collectionId);
+    const destination = message.collectionId === doc.collectionId ? source : await api.getCollection(message.collectionId);
+    const parent = parentDocumentId ? findNode(destinationTree, parentDocumentId) : null;
+    const path = [destination.name, ...parentPath.map(a => a.title || "(Untitled)"), ...(parent ? [parent.title || "(Untitled)"] : [])];
+    await addRecentDestination({
+        profileId: message.profileId,
+        collectionId: message.collectionId,
+        parentDocumentId,
+        label: path.join(" › "),
+    });
+    const plan = buildMovePlan({
+        tree: sourceTree,
+        nodes: [node],
+        source: { collectionId: doc.collectionId, name: source.name },
+        destination: { collectionId: message.collectionId, parentDocumentId, path, position: { type: message.position } },
+    });
+    await addJobs([createJob({
+        kind: "move",
+        label: `${source.name} → ${path.join(" › ")}`,
+        steps: planToSteps(plan),
+        profileId: message.profileId,
+    })]);
+    return { count: plan.documents.length };
+}
@@ -0,0 +1,113 @@
+// requestScheduler.js
+// Limits how many API requests run at once and how fast they start. The rate is
+// a token bucket that halves on every 429 response (pausing for Retry-After) and
+// slowly recovers while requests succeed.
+
+import { DEFAULT_CONCURRENCY, MAX_REQUESTS_PER_SECOND } from './config.js';
+import { debugLog } from './utils.js';
+
+const MIN_REQUESTS_PER_SECOND = 0.5;
+const RECOVERY_PER_REQUEST = 0.1;
+
+/**
+ * Concurrency-limited, rate-limited queue of asynchronous tasks.
+ */
+export class RequestScheduler {
+    /**
+     * @param {Object} [options] - Scheduler options.
+     * @param {number} [options.concurrency=DEFAULT_CONCURRENCY] - Maximum number of tasks in flight.
+     * @param {number} [options.ratePerSecond=MAX_REQUESTS_PER_SECOND] - Maximum sustained start rate.
+     */
+    constructor({ concurrency = DEFAULT_CONCURRENCY, ratePerSecond = MAX_REQUESTS_PER_SECOND } = {}) {
+        this.concurrency = concurrency;
+        this.maxRate = ratePerSecond;
+        this.rate = ratePerSecond;
+        this.tokens = ratePerSecond;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.active = 0;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    /**
+     * Changes the maximum number of tasks in flight.
+     *
+     * @param {number} concurrency - The new limit (at least 1).
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+        this.drain();
+    }
+
+    /**
+     * Queues a task.
+     *
+     * @param {Function} task - Returns a promise; it is started once a slot and a token are free.
+     * @returns {Promise<*>} Settles like the task.
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * Slows down after a rate limit response: the rate is halved and no task starts
+     * before the delay has passed.
+     *
+     * @param {number} delay - The delay requested by the server, in milliseconds.
+     */
+    onRateLimit(delay) {
+        this.rate = Math.max(MIN_REQUESTS_PER_SECOND, this.rate / 2);
+        this.tokens = 0;
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        debugLog(`Rate limited: pausing ${delay} ms, continuing at ${this.rate.toFixed(2)} requests/s.`);
+    }
+
+    /**
+     * Returns how long to wait before the next task may start.
+     *
+     * @returns {number} The wait in milliseconds, 0 if a task may start now.
+     */
+    getWait() {
+        const now = Date.now();
+        if (now < this.pausedUntil) {
+            return this.pausedUntil - now;
+        }
+        this.tokens = Math.min(this.rate, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+        return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    }
+
+    /**
+     * Starts queued tasks while slots and tokens are available, and schedules a
+     * wake-up when waiting for tokens.
+     */
+    drain() {
+        while (this.queue.length > 0 && this.active < this.concurrency) {
+            const wait = this.getWait();
+            if (wait > 0) {
+                if (!this.timer) {
+                    this.timer = setTimeout(() => {
+                        this.timer = null;
+                        this.drain();
+                    }, wait);
+                }
+                return;
+            }
+            this.tokens -= 1;
+            this.active++;
+            const { task, resolve, reject } = this.queue.shift();
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.rate = Math.min(this.maxRate, this.rate + RECOVERY_PER_REQUEST);
+                    this.drain();
+                });
+        }
+    }
+}
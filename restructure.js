@@ -0,0 +1,195 @@
+// restructure.js
+// Reorganizations made of several moves: wrapping siblings in a new parent,
+// flattening a subtree and promoting the children of a folder. They produce the
+// steps of ordinary move jobs, so they are journaled and can be undone.
+
+import { findAncestors, findNode } from './movePlanner.js';
+
+/**
+ * Returns where a node currently lives in a tree.
+ *
+ * @param {Array} tree - The tree from buildTree.
+ * @param {string} documentId - The document ID.
+ * @returns {Object|null} { node, parentId, siblings, index }, or null if not found.
+ */
+function locate(tree, documentId) {
+    const ancestors = findAncestors(tree, documentId);
+    if (!ancestors) {
+        return null;
+    }
+    const parent = ancestors[ancestors.length - 1];
+    const siblings = parent ? parent.children : tree;
+    const node = siblings.find(sibling => sibling.id === documentId);
+    return { node, parentId: parent ? parent.id : "", siblings, index: siblings.indexOf(node) };
+}
+
+/**
+ * Builds a move step. The origin is the position before the whole job, which is
+ * what undoing replays in job order.
+ *
+ * @param {Object} node - The moved node.
+ * @param {string} collectionId - The collection the move happens in.
+ * @param {Object} from - { parentDocumentId, index } before the move.
+ * @param {Object} to - { parentDocumentId, index } after the move.
+ * @param {string|null} [dependsOn=null] - The step that has to succeed first.
+ * @returns {Object} The job step.
+ */
+function moveStep(node, collectionId, from, to, dependsOn = null) {
+    return {
+        documentId: node.id,
+        title: node.title || "(Untitled)",
+        depth: 0,
+        from: { collectionId, ...from },
+        to: { collectionId, ...to },
+        dependsOn,
+    };
+}
+
+/**
+ * Returns the parent shared by the selected nodes, which wrapping requires.
+ *
+ * @param {Array} tree - The tree from buildTree.
+ * @param {Array} documentIds - The selected top-level document IDs.
+ * @returns {string|null} The parent ID ("" for the collection root), or null if
+ *   the nodes are not siblings.
+ */
+export function getCommonParentId(tree, documentIds) {
+    const parentIds = new Set(documentIds.map(id => {
+        const location = locate(tree, id);
+        return location ? location.parentId : null;
+    }));
+    return parentIds.size === 1 && !parentIds.has(null) ? [...parentIds][0] : null;
+}
+
+/**
+ * Builds the steps that wrap siblings in a new parent document. The first step
+ * creates the parent at the position of the first wrapped sibling; the siblings
+ * are then moved under it in their current order, and their children follow them.
+ * Later steps refer to the new parent by the first step's ID, which the job maps
+ * to the created document. The parent is journaled like a move from the bottom of
+ * the same parent, so undoing the job moves it out of the way and deletes it.
+ *
+ * @param {Array} tree - The tree from buildTree.
+ * @param {Array} documentIds - The sibling document IDs.
+ * @param {string} collectionId - The collection.
+ * @param {string} title - The title of the new parent document.
+ * @returns {Array} The job steps.
+ */
+export function buildWrapSteps(tree, documentIds, collectionId, title) {
+    const locations = documentIds.map(id => locate(tree, id)).sort((a, b) => a.index - b.index);
+    const { parentId, siblings } = locations[0];
+    const folder = { id: `wrap:${locations[0].node.id}`, title };
+    const steps = [{
+        ...moveStep(
+            folder,
+            collectionId,
+            { parentDocumentId: parentId, index: siblings.length },
+            { parentDocumentId: parentId, index: locations[0].index },
+        ),
+        action: "createFolder",
+    }];
+    locations.forEach((location, i) => {
+        steps.push(moveStep(
+            location.node,
+            collectionId,
+            { parentDocumentId: parentId, index: location.index },
+            { parentDocumentId: folder.id, index: i },
+            folder.id,
+        ));
+    });
+    return steps;
+}
+
+/**
+ * Builds the steps that flatten subtrees: every descendant of a selected node
+ * becomes a direct child of it, in depth-first order.
+ *
+ * @param {Array} tree - The tree from buildTree.
+ * @param {Array} nodes - The top-level selected nodes.
+ * @param {string} collectionId - The collection.
+ * @returns {Array} The job steps.
+ */
+export function buildFlattenSteps(tree, nodes, collectionId) {
+    const steps = [];
+    nodes.forEach(root => {
+        let index = 0;
+        const visit = (parent) => (parent.children || []).forEach((child, childIndex) => {
+            steps.push(moveStep(
+                child,
+                collectionId,
+                { parentDocumentId: parent.id, index: childIndex },
+                { parentDocumentId: root.id, index: index++ },
+            ));
+            visit(child);
+        });
+        visit(root);
+    });
+    return steps;
+}
+
+/**
+ * Builds the steps that promote the children of folders one level up, right
+ * after the folder, and optionally delete each folder once it is empty.
+ *
+ * @param {Array} tree - The tree from buildTree.
+ * @param {Array} nodes - The top-level selected folders.
+ * @param {string} collectionId - The collection.
+ * @param {boolean} deleteFolders - Whether to delete the emptied folders afterwards.
+ * @returns {Array} The job steps.
+ */
+export function buildPromoteSteps(tree, nodes, collectionId, deleteFolders) {
+    const steps = [];
+    const deleteSteps = [];
+    // Sibling lists as they will be after earlier promotions of the same parent.
+    const siblingOrders = {};
+    nodes.filter(node => node.children && node.children.length > 0).forEach(folder => {
+        const { parentId, siblings } = locate(tree, folder.id);
+        const order = siblingOrders[parentId] || (siblingOrders[parentId] = siblings.map(sibling => sibling.id));
+        const position = order.indexOf(folder.id);
+        folder.children.forEach((child, k) => {
+            steps.push(moveStep(
+                child,
+                collectionId,
+                { parentDocumentId: folder.id, index: k },
+                { parentDocumentId: parentId, index: position + 1 + k },
+            ));
+        });
+        order.splice(position + 1, 0, ...folder.children.map(child => child.id));
+        if (deleteFolders) {
+            deleteSteps.push({
+                documentId: `delete:${folder.id}`,
+                title: `Delete emptied ${folder.title || "(Untitled)"}`,
+                depth: 0,
+                collectionId,
+                folderId: folder.id,
+                dependsOn: null,
+                action: "deleteIfEmpty",
+            });
+        }
+    });
+    // Folders are only deleted once every child has been moved out.
+    if (deleteSteps.length > 0) {
+        deleteSteps[0].barrier = true;
+    }
+    return [...steps, ...deleteSteps];
+}
+
+/**
+ * Executes a step that deletes a folder emptied by a promotion. The folder is
+ * only deleted if it has no children left.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} step - The step.
+ * @returns {Promise<string|null>} The reason the step was skipped, or null once deleted.
+ */
+export async function executeDeleteIfEmptyStep(api, step) {
+    const folder = findNode(await api.getCollectionDocuments(step.collectionId), step.folderId);
+    if (!folder) {
+        return "Folder not found";
+    }
+    if (folder.children && folder.children.length > 0) {
+        return `${folder.children.length} document(s) are still in the folder`;
+    }
+    await api.deleteDocument(step.folderId);
+    return null;
+}
@@ -0,0 +1,154 @@
+// selectionRules.js
+// Rule-based bulk selection: rules over document metadata combined with AND/OR,
+// and reusable named rule sets saved in storage.
+
+import { get, set } from './storageManager.js';
+
+const SAVED_RULES_KEY = "selectionRules";
+
+/**
+ * Supported rule fields and their operators. Fields flagged with `metadata` need
+ * the full document metadata (from documents.list / documents.info), which the
+ * collection tree alone does not carry.
+ */
+export const RULE_FIELDS = {
+    updatedAt: { label: "Updated", operators: ["before", "after"], input: "date", metadata: true },
+    createdAt: { label: "Created", operators: ["before", "after"], input: "date", metadata: true },
+    createdBy: { label: "Created by", operators: ["is"], input: "text", metadata: true },
+    title: { label: "Title", operators: ["contains", "matches"], input: "text" },
+    depth: { label: "Depth (1 = top level)", operators: [">=", "<=", "="], input: "number" },
+    children: { label: "Children", operators: ["has none", "has some"], input: null },
+};
+
+/**
+ * Returns whether any rule of the set needs document metadata.
+ *
+ * @param {Object} ruleSet - { combinator, rules }.
+ * @returns {boolean} True if metadata has to be loaded before evaluating.
+ */
+export function needsMetadata(ruleSet) {
+    return ruleSet.rules.some(rule => RULE_FIELDS[rule.field] && RULE_FIELDS[rule.field].metadata);
+}
+
+/**
+ * Compares a timestamp against a date (YYYY-MM-DD, start of day in local time).
+ *
+ * @param {string} timestamp - The document timestamp.
+ * @param {string} operator - "before" or "after".
+ * @param {string} value - The date.
+ * @returns {boolean} The comparison result; false when either side is missing.
+ */
+function compareDate(timestamp, operator, value) {
+    if (!timestamp || !value) {
+        return false;
+    }
+    const time = new Date(timestamp).getTime();
+    const limit = new Date(`${value}T00:00:00`).getTime();
+    return operator === "before" ? time < limit : time >= limit;
+}
+
+/**
+ * Evaluates a single rule.
+ *
+ * @param {Object} rule - { field, operator, value }.
+ * @param {Object} node - The tree node.
+ * @param {Object} context - { depth, metadata } where metadata is the document's full data, if loaded.
+ * @returns {boolean} Whether the node satisfies the rule.
+ * @throws {SyntaxError} For an invalid "matches" regular expression.
+ */
+function evaluateRule(rule, node, context) {
+    const metadata = context.metadata || {};
+    switch (rule.field) {
+        case "updatedAt":
+        case "createdAt":
+            return compareDate(metadata[rule.field], rule.operator, rule.value);
+        case "createdBy": {
+            const author = metadata.createdBy || {};
+            const needle = String(rule.value || "").toLowerCase();
+            return Boolean(needle) && (author.id === rule.value || (author.name || "").toLowerCase().includes(needle));
+        }
+        case "title": {
+            const title = node.title || "";
+            if (rule.operator === "matches") {
+                return new RegExp(rule.value || "").test(title);
+            }
+            return title.toLowerCase().includes(String(rule.value || "").toLowerCase());
+        }
+        case "depth": {
+            const value = Number(rule.value);
+            if (rule.operator === ">=") {
+                return context.depth >= value;
+            }
+            if (rule.operator === "<=") {
+                return context.depth <= value;
+            }
+            return context.depth === value;
+        }
+        case "children": {
+            const hasChildren = Boolean(node.children && node.children.length > 0);
+            return rule.operator === "has some" ? hasChildren : !hasChildren;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Returns the IDs of every node in the tree that satisfies the rule set.
+ *
+ * @param {Array} tree - The tree structure of documents.
+ * @param {Object} ruleSet - { combinator: "and" | "or", rules }.
+ * @param {Object} [metadataById={}] - Full document data keyed by document ID.
+ * @returns {Set} The matching document IDs.
+ */
+export function findMatchingIds(tree, ruleSet, metadataById = {}) {
+    const matches = new Set();
+    if (ruleSet.rules.length === 0) {
+        return matches;
+    }
+    const visit = (node, depth) => {
+        const context = { depth, metadata: metadataById[node.id] };
+        const test = rule => evaluateRule(rule, node, context);
+        const isMatch = ruleSet.combinator === "or" ? ruleSet.rules.some(test) : ruleSet.rules.every(test);
+        if (isMatch) {
+            matches.add(node.id);
+        }
+        (node.children || []).forEach(child => visit(child, depth + 1));
+    };
+    tree.forEach(node => visit(node, 1));
+    return matches;
+}
+
+/**
+ * Retrieves the saved rule sets, keyed by name.
+ *
+ * @returns {Promise<Object>} The saved rule sets.
+ */
+export async function getSavedRuleSets() {
+    const result = await get(SAVED_RULES_KEY);
+    return result[SAVED_RULES_KEY] || {};
+}
+
+/**
+ * Saves a rule set under a name, replacing any rule set with the same name.
+ *
+ * @param {string} name - The name.
+ * @param {Object} ruleSet - The rule set.
+ * @returns {Promise<void>}
+ */
+export async function saveRuleSet(name, ruleSet) {
+    const saved = await getSavedRuleSets();
+    await set({ [SAVED_RULES_KEY]: { ...saved, [name]: ruleSet } });
+}
+
+/**
+ * Deletes a saved rule set.
+ *
+ * @param {string} name - The name.
+ * @returns {Promise<void>}
+ */
+export async function deleteRuleSet(name) {
+    const saved = { ...(await getSavedRuleSets()) };
+    delete saved[name];
+    await set({ [SAVED_RULES_KEY]: saved });
+}
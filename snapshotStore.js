@@ -0,0 +1,216 @@
+// snapshotStore.js
+// Snapshots of collection structures taken before destructive jobs, kept in
+// IndexedDB (they can be far larger than chrome.storage comfortably holds).
+// A snapshot can be compared against the current state and its structure restored.
+
+import { get, withObjectStore } from './storageManager.js';
+
+const STORE_NAME = "snapshots";
+const MAX_SNAPSHOTS = 20;
+export const SNAPSHOT_TEXT_KEY = "snapshotIncludeText";
+
+/**
+ * Retrieves every snapshot, newest first.
+ *
+ * @returns {Promise<Array>} The snapshots.
+ */
+export async function listSnapshots() {
+    const snapshots = await withObjectStore(STORE_NAME, "readonly", store => store.getAll());
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Retrieves a snapshot.
+ *
+ * @param {string} snapshotId - The snapshot ID.
+ * @returns {Promise<Object|undefined>} The snapshot.
+ */
+export async function getSnapshot(snapshotId) {
+    return withObjectStore(STORE_NAME, "readonly", store => store.get(snapshotId));
+}
+
+/**
+ * Deletes a snapshot.
+ *
+ * @param {string} snapshotId - The snapshot ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshot(snapshotId) {
+    await withObjectStore(STORE_NAME, "readwrite", store => store.delete(snapshotId));
+}
+
+/**
+ * Returns the collections a job touches, read from the origin and target of its steps.
+ *
+ * @param {Object} job - The job.
+ * @returns {Array} The collection IDs.
+ */
+function getAffectedCollectionIds(job) {
+    const ids = new Set();
+    job.steps.forEach(step => {
+        [step.from && step.from.collectionId, step.to && step.to.collectionId, step.collectionId]
+            .filter(Boolean)
+            .forEach(id => ids.add(id));
+    });
+    return [...ids];
+}
+
+/**
+ * Captures the structure of every collection a job touches, and optionally the
+ * text of the documents it changes, then stores the snapshot. Only the newest
+ * MAX_SNAPSHOTS snapshots are kept.
+ *
+ * @param {Object} api - The Outline API instance of the job's workspace.
+ * @param {Object} job - The job about to run.
+ * @returns {Promise<Object>} The stored snapshot.
+ */
+export async function captureSnapshot(api, job) {
+    const { [SNAPSHOT_TEXT_KEY]: includeText } = await get(SNAPSHOT_TEXT_KEY);
+    const collections = [];
+    for (const collectionId of getAffectedCollectionIds(job)) {
+        collections.push({ id: collectionId, documents: await api.getCollectionDocuments(collectionId) });
+    }
+    const texts = {};
+    if (includeText) {
+        for (const step of job.steps) {
+            const doc = await api.getDocument(step.documentId);
+            if (doc) {
+                texts[doc.id] = { title: doc.title, text: doc.text };
+            }
+        }
+    }
+    const snapshot = {
+        id: `snapshot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        createdAt: new Date().toISOString(),
+        label: job.label,
+        jobId: job.id,
+        profileId: job.profileId,
+        collections,
+        texts,
+    };
+    await withObjectStore(STORE_NAME, "readwrite", store => store.put(snapshot));
+
+    const stale = (await listSnapshots()).slice(MAX_SNAPSHOTS);
+    for (const old of stale) {
+        await deleteSnapshot(old.id);
+    }
+    return snapshot;
+}
+
+/**
+ * Flattens collection structures into a map of document locations.
+ *
+ * @param {Array} collections - Entries: { id, documents } with nested documents as
+ *   returned by getCollectionDocuments.
+ * @returns {Object} Locations keyed by document ID:
+ *   { documentId, title, collectionId, parentDocumentId, index, depth, path }.
+ */
+export function indexLocations(collections) {
+    const locations = {};
+    const visit = (docs, collectionId, parentDocumentId, depth, path) => {
+        docs.forEach((doc, index) => {
+            locations[doc.id] = {
+                documentId: doc.id,
+                title: doc.title || "(Untitled)",
+                collectionId,
+                parentDocumentId,
+                index,
+                depth,
+                path,
+            };
+            visit(doc.children || [], collectionId, doc.id, depth + 1, [...path, doc.title || "(Untitled)"]);
+        });
+    };
+    collections.forEach(collection => visit(collection.documents, collection.id, "", 0, []));
+    return locations;
+}
+
+/**
+ * Compares a snapshot with the current structure of its collections.
+ *
+ * @param {Object} snapshot - The snapshot.
+ * @param {Array} currentCollections - Entries: { id, documents } for the same collections, as they are now.
+ * @returns {Object} { moved, reordered, renamed, missing, added }; moved, reordered and
+ *   renamed entries are { before, after } location pairs, missing and added are locations.
+ */
+export function diffSnapshot(snapshot, currentCollections) {
+    const before = indexLocations(snapshot.collections);
+    const after = indexLocations(currentCollections);
+    const diff = { moved: [], reordered: [], renamed: [], missing: [], added: [] };
+    Object.values(before).forEach(old => {
+        const now = after[old.documentId];
+        if (!now) {
+            diff.missing.push(old);
+            return;
+        }
+        if (now.collectionId !== old.collectionId || now.parentDocumentId !== old.parentDocumentId) {
+            diff.moved.push({ before: old, after: now });
+        } else if (now.index !== old.index) {
+            diff.reordered.push({ before: old, after: now });
+        }
+        if (now.title !== old.title) {
+            diff.renamed.push({ before: old, after: now });
+        }
+    });
+    Object.values(after).forEach(now => {
+        if (!before[now.documentId]) {
+            diff.added.push(now);
+        }
+    });
+    return diff;
+}
+
+/**
+ * Builds the move steps that put documents back where the snapshot recorded them.
+ * Steps follow the snapshot's tree order, so parents are in place before their
+ * children and siblings are restored from the first position onwards. The child
+ * lists are updated as every step would change them, so a document only gets a
+ * step if it is not already in place once the earlier steps have run. Documents
+ * that no longer exist cannot be restored this way and are left out.
+ *
+ * @param {Object} snapshot - The snapshot.
+ * @param {Array} currentCollections - Entries: { id, documents } as they are now.
+ * @returns {Array} The job steps.
+ */
+export function buildRestoreSteps(snapshot, currentCollections) {
+    const after = indexLocations(currentCollections);
+    // Current child ID lists keyed by collection and parent, and where each document is.
+    const children = {};
+    const parentKeys = {};
+    const listOf = (collectionId, parentDocumentId) => {
+        const key = `${collectionId}/${parentDocumentId}`;
+        return children[key] || (children[key] = []);
+    };
+    Object.values(after).forEach(now => {
+        listOf(now.collectionId, now.parentDocumentId)[now.index] = now.documentId;
+        parentKeys[now.documentId] = { collectionId: now.collectionId, parentDocumentId: now.parentDocumentId };
+    });
+
+    const steps = [];
+    Object.values(indexLocations(snapshot.collections)).forEach(old => {
+        const current = parentKeys[old.documentId];
+        if (!current) {
+            return;
+        }
+        const fromList = listOf(current.collectionId, current.parentDocumentId);
+        const fromIndex = fromList.indexOf(old.documentId);
+        if (current.collectionId === old.collectionId && current.parentDocumentId === old.parentDocumentId
+            && fromIndex === old.index) {
+            return;
+        }
+        fromList.splice(fromIndex, 1);
+        const toList = listOf(old.collectionId, old.parentDocumentId);
+        toList.splice(Math.min(old.index, toList.length), 0, old.documentId);
+        parentKeys[old.documentId] = { collectionId: old.collectionId, parentDocumentId: old.parentDocumentId };
+        steps.push({
+            documentId: old.documentId,
+            title: old.title,
+            depth: old.depth,
+            from: { ...current, index: fromIndex },
+            to: { collectionId: old.collectionId, parentDocumentId: old.parentDocumentId, index: old.index },
+            dependsOn: null,
+            verifyParent: true,
+        });
+    });
+    return steps;
+}
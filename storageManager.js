@@ -1,10 +1,29 @@
 // storageManager.js
-// Enhanced Storage Manager with in-memory caching
+// Enhanced Storage Manager with in-memory caching, plus the IndexedDB database
+// holding data too large for chrome.storage (snapshots and cached collection trees).
 
 import {getLocalStorage} from "./utils.js";
+import { DEFAULT_CONCURRENCY } from './config.js';
+
+export const REQUEST_CONCURRENCY_KEY = "requestConcurrency";
+
+const DB_NAME = "outlineDocumentMover";
+const DB_VERSION = 2;
+const DB_STORES = ["snapshots", "collectionTrees"];
+const TREE_STORE = "collectionTrees";
 
 const cache = {};
-let outlineApiInstance = null;
+const outlineApiInstances = {};
+
+// Keep the cache coherent with writes made by other extension contexts
+// (e.g. the background service worker updating job state while the popup is open).
+chrome.storage.onChanged.addListener((changes) => {
+    Object.keys(changes).forEach(key => {
+        if (cache.hasOwnProperty(key)) {
+            cache[key] = changes[key].newValue;
+        }
+    });
+});
 
 /**
  * Retrieves a value from Chrome storage (sync by default) with caching.
@@ -59,15 +78,114 @@ export function set(items, useSync = true) {
 }
 
 /**
- * Retrieves the Outline settings from storage.
+ * Removes items from Chrome storage (sync by default) and from the cache.
+ *
+ * @param {string|string[]} keys - The key or array of keys to remove.
+ * @param {boolean} [useSync=true] - Whether to use chrome.storage.sync (or local if false).
+ * @returns {Promise<void>}
+ */
+export function remove(keys, useSync = true) {
+    return new Promise((resolve, reject) => {
+        const storage = useSync ? chrome.storage.sync : chrome.storage.local;
+        storage.remove(keys, () => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                [].concat(keys).forEach(key => {
+                    delete cache[key];
+                });
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Subscribes to changes of a single storage key, from any extension context.
+ *
+ * @param {string} key - The key to watch.
+ * @param {Function} callback - Called with the new value whenever the key changes.
+ * @param {boolean} [useSync=true] - Whether to watch chrome.storage.sync (or local if false).
+ * @returns {Function} A function that removes the subscription.
+ */
+export function subscribe(key, callback, useSync = true) {
+    const areaName = useSync ? "sync" : "local";
+    const listener = (changes, area) => {
+        if (area === areaName && changes.hasOwnProperty(key)) {
+            callback(changes[key].newValue);
+        }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Retrieves the named connection profiles. A configuration saved before profiles
+ * existed (a single outlineUrl/apiToken) is migrated once into a "Default" profile;
+ * the old keys are then removed, so deleting every profile does not bring it back.
+ *
+ * @returns {Promise<Array>} - Profiles: { id, name, outlineUrl, apiToken }.
+ */
+export async function getProfiles() {
+    const { profiles, outlineUrl, apiToken } = await get(["profiles", "outlineUrl", "apiToken"], true);
+    if (profiles) {
+        return profiles;
+    }
+    if (outlineUrl && apiToken) {
+        const migrated = [{ id: "default", name: "Default", outlineUrl, apiToken }];
+        await set({ profiles: migrated, activeProfileId: "default" }, true);
+        await remove(["outlineUrl", "apiToken"], true);
+        return migrated;
+    }
+    return [];
+}
+
+/**
+ * Saves the connection profiles.
+ *
+ * @param {Array} profiles - Profiles: { id, name, outlineUrl, apiToken }.
+ * @returns {Promise<void>}
+ */
+export async function saveProfiles(profiles) {
+    await set({ profiles }, true);
+}
+
+/**
+ * Returns the ID of the active profile, falling back to the first profile.
+ *
+ * @returns {Promise<string|null>} - The active profile ID, or null if there are no profiles.
+ */
+export async function getActiveProfileId() {
+    const profiles = await getProfiles();
+    const { activeProfileId } = await get("activeProfileId", true);
+    if (profiles.some(profile => profile.id === activeProfileId)) {
+        return activeProfileId;
+    }
+    return profiles.length > 0 ? profiles[0].id : null;
+}
+
+/**
+ * Makes a profile the active workspace.
+ *
+ * @param {string} profileId - The profile ID.
+ * @returns {Promise<void>}
+ */
+export async function setActiveProfileId(profileId) {
+    await set({ activeProfileId: profileId }, true);
+}
+
+/**
+ * Retrieves the Outline settings of the active profile from storage.
  *
  * @returns {Promise<Object>} - A promise that resolves with outlineUrl, apiToken, etc.
  */
 export async function getSettings() {
     try {
-        const syncSettings = await get(["outlineUrl", "apiToken"], true);
+        const profiles = await getProfiles();
+        const activeProfileId = await getActiveProfileId();
+        const profile = profiles.find(p => p.id === activeProfileId) || {};
         const localSettings = await getLocalStorage("collectionId");
-        return { ...syncSettings, ...localSettings };
+        return { outlineUrl: profile.outlineUrl, apiToken: profile.apiToken, profileId: profile.id, ...localSettings };
     } catch (error) {
         console.error("Error retrieving settings:", error);
         throw error;
@@ -76,20 +194,186 @@ export async function getSettings() {
 
 
 /**
- * **New Helper Function**
- * Creates and returns a cached instance of OutlineAPI after retrieving settings.
+ * Creates and returns a cached instance of OutlineAPI for a profile (the active
+ * one by default). Instances are cached per URL and token, so editing a profile
+ * takes effect without reloading the extension.
  *
+ * @param {string} [profileId] - The profile to connect with.
  * @returns {Promise<OutlineAPI>}
  */
 import { OutlineAPI } from './outlineAPI.js';
-export async function getOutlineAPI() {
-    if (outlineApiInstance) {
-        return outlineApiInstance;
-    }
-    const { outlineUrl, apiToken } = await getSettings();
-    if (!outlineUrl || !apiToken) {
+export async function getOutlineAPI(profileId) {
+    const id = profileId || await getActiveProfileId();
+    const profile = (await getProfiles()).find(p => p.id === id);
+    if (!profile || !profile.outlineUrl || !profile.apiToken) {
         throw new Error("Outline URL or API token is not set. Please configure them in the options page.");
     }
-    outlineApiInstance = new OutlineAPI(outlineUrl, apiToken);
-    return outlineApiInstance;
+    const cacheKey = `${profile.outlineUrl}|${profile.apiToken}`;
+    if (!outlineApiInstances[cacheKey]) {
+        outlineApiInstances[cacheKey] = new OutlineAPI(profile.outlineUrl, profile.apiToken);
+    }
+    const { [REQUEST_CONCURRENCY_KEY]: concurrency } = await get(REQUEST_CONCURRENCY_KEY);
+    outlineApiInstances[cacheKey].scheduler.setConcurrency(concurrency || DEFAULT_CONCURRENCY);
+    return outlineApiInstances[cacheKey];
+}
+
+/**
+ * Opens the extension's IndexedDB database, creating missing object stores on upgrade.
+ *
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            DB_STORES.filter(name => !request.result.objectStoreNames.contains(name)).forEach(name => {
+                request.result.createObjectStore(name, { keyPath: "id" });
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a request against an IndexedDB object store in a single transaction.
+ *
+ * @param {string} storeName - The object store, one of DB_STORES.
+ * @param {string} mode - "readonly" or "readwrite".
+ * @param {Function} makeRequest - Receives the object store and returns an IDBRequest.
+ * @returns {Promise<any>} The result of the request.
+ */
+export async function withObjectStore(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Retrieves the cached document tree of a collection.
+ *
+ * @param {string} profileId - The workspace (profile) ID.
+ * @param {string} collectionId - The collection ID.
+ * @returns {Promise<Object|undefined>} The entry: { id, profileId, collectionId, documents, version, cachedAt }.
+ */
+export async function getCachedTree(profileId, collectionId) {
+    return withObjectStore(TREE_STORE, "readonly", store => store.get(`${profileId}|${collectionId}`));
+}
+
+/**
+ * Caches the document tree of a collection.
+ *
+ * @param {string} profileId - The workspace (profile) ID.
+ * @param {string} collectionId - The collection ID.
+ * @param {Array} documents - The nested documents, as returned by getCollectionDocuments.
+ * @param {Object} version - The version from getTreeVersion, taken before the documents were fetched.
+ * @returns {Promise<void>}
+ */
+export async function putCachedTree(profileId, collectionId, documents, version) {
+    const entry = {
+        id: `${profileId}|${collectionId}`,
+        profileId,
+        collectionId,
+        documents,
+        version: { collectionUpdatedAt: version.collectionUpdatedAt, documentsUpdatedAt: version.documentsUpdatedAt },
+        cachedAt: new Date().toISOString(),
+    };
+    await withObjectStore(TREE_STORE, "readwrite", store => store.put(entry));
+}
+
+/**
+ * Drops cached trees: one collection, or every collection of a workspace.
+ *
+ * @param {string} profileId - The workspace (profile) ID.
+ * @param {string} [collectionId] - The collection ID; all collections when omitted.
+ * @returns {Promise<void>}
+ */
+export async function invalidateTreeCache(profileId, collectionId) {
+    if (collectionId) {
+        await withObjectStore(TREE_STORE, "readwrite", store => store.delete(`${profileId}|${collectionId}`));
+        return;
+    }
+    const entries = await withObjectStore(TREE_STORE, "readonly", store => store.getAll());
+    for (const entry of entries.filter(e => e.profileId === profileId)) {
+        await withObjectStore(TREE_STORE, "readwrite", store => store.delete(entry.id));
+    }
+}
+
+/**
+ * Reads the version of a collection tree from updatedAt timestamps: the collection's
+ * own (it changes with the document structure) and the newest of its documents.
+ * Documents updated after a previous version are listed as well.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {string} collectionId - The collection ID.
+ * @param {Object} [since] - A previous version to compare with.
+ * @returns {Promise<Object>} { collectionUpdatedAt, documentsUpdatedAt, updatedIds }.
+ */
+export async function getTreeVersion(api, collectionId, since = null) {
+    const collection = await api.getCollection(collectionId);
+    const threshold = since ? since.documentsUpdatedAt : null;
+    let documentsUpdatedAt = threshold;
+    const updatedIds = [];
+    // Newest first, so listing stops at the first document that is not newer.
+    for await (const page of api.streamDocumentsByUpdate(collectionId)) {
+        if (!documentsUpdatedAt || page[0].updatedAt > documentsUpdatedAt) {
+            documentsUpdatedAt = page[0].updatedAt;
+        }
+        if (!threshold) {
+            break;
+        }
+        const newer = page.filter(doc => doc.updatedAt > threshold);
+        updatedIds.push(...newer.map(doc => doc.id));
+        if (newer.length < page.length) {
+            break;
+        }
+    }
+    return { collectionUpdatedAt: collection ? collection.updatedAt : null, documentsUpdatedAt, updatedIds };
+}
+
+/**
+ * Indexes the position and title of every node of a nested document list.
+ *
+ * @param {Array} documents - The nested documents.
+ * @returns {Object} "parentId|index|title" keyed by document ID.
+ */
+function indexTreeNodes(documents) {
+    const index = {};
+    const visit = (nodes, parentId) => nodes.forEach((node, i) => {
+        index[node.id] = `${parentId}|${i}|${node.title}`;
+        visit(node.children || [], node.id);
+    });
+    visit(documents, "");
+    return index;
+}
+
+/**
+ * Checks a cached tree against the server and refreshes the cache when it is stale.
+ *
+ * @param {Object} api - The Outline API instance.
+ * @param {Object} cached - The entry from getCachedTree.
+ * @returns {Promise<Object|null>} null when the cache is current, otherwise
+ *   { documents, changedIds } with the IDs of documents that were added, moved,
+ *   reordered, renamed or edited since the tree was cached.
+ */
+export async function revalidateCachedTree(api, cached) {
+    const version = await getTreeVersion(api, cached.collectionId, cached.version);
+    if (version.updatedIds.length === 0 && version.collectionUpdatedAt === cached.version.collectionUpdatedAt) {
+        return null;
+    }
+    const documents = await api.getCollectionDocuments(cached.collectionId);
+    const before = indexTreeNodes(cached.documents);
+    const after = indexTreeNodes(documents);
+    const changedIds = new Set(version.updatedIds.filter(id => id in after));
+    Object.keys(after).filter(id => before[id] !== after[id]).forEach(id => changedIds.add(id));
+    await putCachedTree(cached.profileId, cached.collectionId, documents, version);
+    return { documents, changedIds: [...changedIds] };
 }
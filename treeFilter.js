@@ -0,0 +1,57 @@
+// treeFilter.js
+// Title and full-text filtering of the source document tree.
+
+/**
+ * Creates a predicate matching document nodes against a filter query.
+ *
+ * @param {string} mode - "substring", "regex" or "fulltext".
+ * @param {string} query - The filter query.
+ * @param {Set} [fullTextIds] - For "fulltext", the IDs returned by documents.search.
+ * @returns {Function|null} A predicate on nodes, or null when the query is empty.
+ * @throws {SyntaxError} If the query is not a valid regular expression in "regex" mode.
+ */
+export function createMatcher(mode, query, fullTextIds = new Set()) {
+    if (!query) {
+        return null;
+    }
+    if (mode === "fulltext") {
+        return (node) => fullTextIds.has(node.id);
+    }
+    if (mode === "regex") {
+        const pattern = new RegExp(query, "i");
+        return (node) => pattern.test(node.title || "");
+    }
+    const needle = query.toLowerCase();
+    return (node) => (node.title || "").toLowerCase().includes(needle);
+}
+
+/**
+ * Computes which nodes match and which nodes stay visible: matches plus every
+ * ancestor of a match, so matching branches can be expanded.
+ *
+ * @param {Array} tree - The tree structure of documents.
+ * @param {Function} isMatch - The predicate from createMatcher.
+ * @returns {Object} { matches: Set, visible: Set } of document IDs.
+ */
+export function computeVisibility(tree, isMatch) {
+    const matches = new Set();
+    const visible = new Set();
+    const visit = (node) => {
+        let keep = false;
+        (node.children || []).forEach(child => {
+            if (visit(child)) {
+                keep = true;
+            }
+        });
+        if (isMatch(node)) {
+            matches.add(node.id);
+            keep = true;
+        }
+        if (keep) {
+            visible.add(node.id);
+        }
+        return keep;
+    };
+    tree.forEach(visit);
+    return { matches, visible };
+}
@@ -37,38 +37,49 @@ export async function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOU
 }
 
 /**
- * Retries a fetch operation with exponential backoff.
+ * Retries a fetch operation with exponential backoff. The last rate limited
+ * response is returned once the retries are used up, so callers report it like
+ * any other failed response.
  * @param {string} url - The URL to fetch.
  * @param {Object} options - Fetch options.
  * @param {number} [maxRetries=MAX_RETRIES] - Maximum number of retries.
  * @param {number} [backoff=INITIAL_BACKOFF] - Initial backoff in milliseconds.
+ * @param {Function} [onRateLimit] - Called with the delay (ms) whenever a 429 response is received.
+ * @param {Function} [runAttempt] - Runs each attempt, given a function returning its promise; the
+ *   delays between attempts are outside of it (e.g. a scheduler slot is not held while waiting).
  * @returns {Promise<Response>} The fetch response.
  */
-export async function retryFetch(url, options = {}, maxRetries = MAX_RETRIES, backoff = INITIAL_BACKOFF) {
+export async function retryFetch(url, options = {}, maxRetries = MAX_RETRIES, backoff = INITIAL_BACKOFF, onRateLimit = null, runAttempt = attempt => attempt()) {
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        let delay;
         try {
-            const response = await fetchWithTimeout(url, options);
+            const response = await runAttempt(() => fetchWithTimeout(url, options));
             // Check for rate limit response.
-            if (response.status === 429) {
-                // If the server sends a Retry-After header, use it.
-                const retryAfterHeader = response.headers.get("Retry-After");
-                const delay = retryAfterHeader
-                    ? parseInt(retryAfterHeader, 10) * 1000
-                    : backoff * Math.pow(2, attempt);
-                debugLog(`Rate limit detected. Delaying next attempt for ${delay} ms (attempt ${attempt + 1}).`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-                // Continue the loop to retry.
-                continue;
+            if (response.status !== 429) {
+                return response;
             }
-            return response;
+            // If the server sends a Retry-After header (seconds or an HTTP date), use it.
+            const retryAfterHeader = response.headers.get("Retry-After");
+            const retryAfter = retryAfterHeader && (/^\d+$/.test(retryAfterHeader)
+                ? parseInt(retryAfterHeader, 10) * 1000
+                : Date.parse(retryAfterHeader) - Date.now());
+            delay = retryAfter > 0 ? retryAfter : backoff * Math.pow(2, attempt);
+            if (onRateLimit) {
+                onRateLimit(delay);
+            }
+            if (attempt === maxRetries) {
+                debugLog(`Rate limit detected on the last attempt (${attempt + 1}); giving up.`);
+                return response;
+            }
+            debugLog(`Rate limit detected. Delaying next attempt for ${delay} ms (attempt ${attempt + 1}).`);
         } catch (error) {
             debugLog(`Attempt ${attempt + 1} failed: ${error.message}`);
             if (attempt === maxRetries) {
                 throw error;
             }
-            const delay = backoff * Math.pow(2, attempt);
-            await new Promise(resolve => setTimeout(resolve, delay));
+            delay = backoff * Math.pow(2, attempt);
         }
+        await new Promise(resolve => setTimeout(resolve, delay));
     }
 }
 
@@ -149,3 +160,19 @@ export function createApiHeaders(apiToken) {
         "Authorization": `Bearer ${apiToken}`
     };
 }
+
+/**
+ * Triggers a browser download for the given blob.
+ * @param {string} filename - The suggested file name.
+ * @param {Blob} blob - The content to download.
+ */
+export function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,48 @@
+// workspaceTransfer.js
+// Helpers for transferring documents between two Outline workspaces (servers).
+
+const ATTACHMENT_URL_PATTERN = /(?:https?:\/\/[^\s)"'\]]+)?\/api\/attachments\.redirect\?id=([0-9a-fA-F-]{36})/g;
+
+/**
+ * Guesses a file extension from a MIME type.
+ *
+ * @param {string} contentType - The MIME type.
+ * @returns {string} The extension including the dot, or an empty string.
+ */
+function extensionFor(contentType) {
+    const subtype = (contentType || "").split("/")[1] || "";
+    const cleaned = subtype.split(/[;+]/)[0];
+    return cleaned ? `.${cleaned === "jpeg" ? "jpg" : cleaned}` : "";
+}
+
+/**
+ * Copies every attachment referenced in a document's text from the source to the
+ * target workspace and returns the text with the links rewritten to the copies.
+ *
+ * @param {Object} sourceApi - The OutlineAPI of the source workspace.
+ * @param {Object} targetApi - The OutlineAPI of the target workspace.
+ * @param {string} text - The Markdown text of the source document.
+ * @param {string} documentId - The ID of the document created in the target workspace.
+ * @returns {Promise<string>} The rewritten text.
+ */
+export async function transferAttachments(sourceApi, targetApi, text, documentId) {
+    const replacements = new Map();
+    for (const match of (text || "").matchAll(ATTACHMENT_URL_PATTERN)) {
+        const [url, attachmentId] = match;
+        if (replacements.has(url)) {
+            continue;
+        }
+        const blob = await sourceApi.downloadAttachment(attachmentId);
+        const attachment = await targetApi.uploadAttachment({
+            name: `${attachmentId}${extensionFor(blob.type)}`,
+            blob,
+            documentId,
+        });
+        replacements.set(url, attachment.url);
+    }
+    let result = text || "";
+    replacements.forEach((newUrl, oldUrl) => {
+        result = result.split(oldUrl).join(newUrl);
+    });
+    return result;
+}
@@ -0,0 +1,174 @@
+// zipArchive.js
+// Minimal ZIP writer and reader. Written entries are stored without compression,
+// which keeps the writer small and is fine for Markdown text; the reader also
+// inflates deflated entries, the format used by most ZIP tools.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of some bytes.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {number} The unsigned checksum.
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields used by ZIP headers.
+ *
+ * @param {Date} date - The date.
+ * @returns {Object} { time, date }.
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Creates a ZIP archive.
+ *
+ * @param {Array} files - Entries: { path, content } where content is a string or Uint8Array.
+ * @param {Date} [modified=new Date()] - The modification time recorded for every entry.
+ * @returns {Blob} The archive.
+ */
+export function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modified);
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.path);
+        const data = typeof file.content === "string" ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        // Bit 11: file names are UTF-8.
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralDirectory.push(central, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: "application/zip" });
+}
+
+/**
+ * Inflates raw deflate data.
+ *
+ * @param {Uint8Array} data - The compressed bytes.
+ * @returns {Promise<Uint8Array>} The decompressed bytes.
+ */
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads the file entries of a ZIP archive. Directory entries are left out.
+ *
+ * @param {Blob} blob - The archive.
+ * @returns {Promise<Array>} Entries: { path, bytes }.
+ * @throws {Error} If the archive is invalid or uses an unsupported compression method.
+ */
+export async function readZip(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    // The end-of-central-directory record sits at the end, followed by an optional comment.
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error("Not a ZIP archive");
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error("Corrupt ZIP central directory");
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (path.endsWith("/")) {
+            continue;
+        }
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            entries.push({ path, bytes: data });
+        } else if (method === 8) {
+            entries.push({ path, bytes: await inflateRaw(data) });
+        } else {
+            throw new Error(`Unsupported compression method ${method} for ${path}`);
+        }
+    }
+    return entries;
+}